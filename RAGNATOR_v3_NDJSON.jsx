@@ -1,5 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Upload, FileText, Database, Download, Terminal, AlertCircle, CheckCircle, Loader2, Cpu, Trash2, BookOpen, Package, FileJson, Sparkles } from 'lucide-react';
+import {
+  ragnatorEngine, ENCODINGS, CHUNKERS, PDF_EXTRACTION_MODES, EXTRACTORS, DEDUP_MODES, EXPORTERS, DEFAULT_EXPORT_TEMPLATE,
+  REDACTION_DETECTORS, REDACTION_ACTIONS, Redactor, prepareRedaction, parseRedactionRules,
+  estimateTokens, registerTokenizer, getTokenizer, normalizeChunking, findExtractor, sourcePath, processFile, configureOcr, releaseOcr, digestMarkup,
+  runRetrievalTests, retrievalVerdict, sameSettings, sourceMatcher, DatasetBuilder, datasetRoot, directorySink, zipSink, datasetZipName, JobStore, qualityWarnings
+} from './ragnator-core.mjs';
+import { Upload, FileText, Database, Download, Terminal, AlertCircle, CheckCircle, Loader2, Cpu, Trash2, BookOpen, Package, FileJson, Sparkles, Pause, Play, XCircle, Search, Plus, FlaskConical, History, RotateCcw } from 'lucide-react';
 
 /**
  * RAGNATOR v3.2 - ENTERPRISE EDITION
@@ -10,112 +16,276 @@ import { Upload, FileText, Database, Download, Terminal, AlertCircle, CheckCircl
  * 4. STRICT SIZE LIMIT: 38.5MB limit enforced via byte counting.
  */
 
-const MAX_BUNDLE_SIZE = 38.5 * 1024 * 1024; // 38.5MB Strict Limit
-const CHUNK_TARGET_SIZE = 1500;
-const CHUNK_OVERLAP = 200;
-
-// Internal state management class for the streaming process
-class StreamProcessor {
-  constructor(filename, onChunkEmitted) {
-    this.filename = filename;
-    this.buffer = ""; 
-    this.lastPageSeen = 1; // Track page number
-    this.onChunkEmitted = onChunkEmitted;
-  }
+// Browser builds of the libraries, loaded on boot and again inside every ingestion worker
+const PDFJS_VERSION = '3.11.174';
+const PDFJS_URL = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.min.js`;
+const PDFJS_WORKER_URL = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${PDFJS_VERSION}/pdf.worker.min.js`;
+const JSZIP_URL = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+// OCR engine, only loaded for runs with OCR on. Its language data (<lang>.traineddata) is served next to the app.
+const TESSERACT_URL = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js';
+const TESSDATA_PATH = './tessdata/';
 
-  processText(text) {
-    // Check for page markers before normalizing
-    const pageMatch = text.match(/\[PAGE_END:(\d+)\]/);
-    if (pageMatch) {
-      this.lastPageSeen = parseInt(pageMatch[1], 10);
-    }
+const RETRIEVAL_TESTS_KEY = 'ragnator.retrieval_tests';
+const REDACTION_KEY = 'ragnator.redaction';
 
-    // Normalize logic
-    const cleanSegment = text
-      .replace(/\[PAGE_END:\d+\]/g, "") // Remove markers from content
-      .replace(/[\r\n]+/g, "\n")
-      .replace(/[ \t]+/g, ' ')
-      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, "");
-    
-    this.buffer += cleanSegment;
+// Redaction panel state <-> the { rules } config a run records in its manifest
+const DEFAULT_REDACTION = { enabled: false, detectors: Object.fromEntries(Object.keys(REDACTION_DETECTORS).map(id => [id, 'mask'])), custom: '' };
 
-    while (this.buffer.length >= CHUNK_TARGET_SIZE + 200) {
-      this._cutChunk();
-    }
-  }
+// -> { redaction, key } (see prepareRedaction); the hash key is typed per session and never stored with the panel
+const redactionConfig = ({ enabled, detectors, custom }, hashKey) => {
+  if (!enabled) return prepareRedaction([]);
+  const rules = [
+    ...Object.keys(REDACTION_DETECTORS).filter(id => detectors[id] && detectors[id] !== 'off').map(id => ({ id, action: detectors[id] })),
+    ...parseRedactionRules(custom)
+  ];
+  return prepareRedaction(rules, hashKey);
+};
 
-  flush() {
-    while (this.buffer.length > 0) {
-      this._cutChunk(true);
-    }
-  }
+const redactionPanel = (config) => ({
+  enabled: true,
+  detectors: Object.fromEntries(Object.keys(REDACTION_DETECTORS).map(id => [id, config.rules.find(r => r.id === id && r.pattern === undefined)?.action || 'off'])),
+  custom: config.rules.filter(r => r.pattern !== undefined).map(r => `${r.id} ${r.action} /${r.pattern}/${r.flags || ''}`).join('\n')
+});
 
-  _cutChunk(isFinal = false) {
-    if (this.buffer.length === 0) return;
+// Where sealed bundles go during a run (see OUTPUT SINKS in ragnator-core.mjs)
+const CAN_PICK_FOLDER = typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+// Unchanged files carry counts from the previous manifest, fresh ones carry page lists
+const countPages = (pages) => Array.isArray(pages) ? pages.length : pages;
 
-    let end = Math.min(CHUNK_TARGET_SIZE, this.buffer.length);
-    
-    // Smart split logic
-    if (!isFinal && end < this.buffer.length) {
-      const lookWindow = this.buffer.slice(end - 100, end + 100);
-      const match = lookWindow.match(/[.!?]\s/); 
-      if (match && match.index !== undefined) {
-         end = (end - 100) + match.index + 1;
-      } else {
-         const newlineMatch = lookWindow.match(/\n/);
-         if (newlineMatch && newlineMatch.index !== undefined) {
-            end = (end - 100) + newlineMatch.index;
-         }
+const loadScript = (src) => new Promise((resolve, reject) => {
+  const script = document.createElement('script');
+  script.src = src;
+  script.onload = resolve;
+  script.onerror = () => reject(new Error(`Could not load ${src}`));
+  document.head.appendChild(script);
+});
+
+const OUTPUT_TARGETS = {
+  folder: 'Stream to Folder',
+  zip: 'Streamed ZIP Download'
+};
+
+// --- WORKER POOL ---
+// Each worker boots the libraries plus a fresh copy of the engine and runs one file at a time.
+// Chunks travel back in batches; pause/resume hold the job at its next checkpoint().
+const workerMain = (self, engine) => {
+  let countTokens = engine.estimateTokens;
+  let gate = null;
+  const checkpoint = () => gate ? gate.promise : new Promise(r => setTimeout(r, 0));
+
+  // Workers have no DOMParser: the engine's digestMarkup() asks the main thread to parse for it
+  const markupRequests = new Map();
+  let markupId = 0;
+  self.digestMarkup = (raw, mimeType, digest) => new Promise((resolve, reject) => {
+    const id = ++markupId;
+    markupRequests.set(id, { resolve, reject });
+    self.postMessage({ type: 'markup', id, raw, mimeType, digest });
+  });
+
+  self.onmessage = async ({ data }) => {
+    if (data.type === 'markup') {
+      const request = markupRequests.get(data.id);
+      markupRequests.delete(data.id);
+      if (data.error) request?.reject(new Error(data.error));
+      else request?.resolve(data.result);
+    } else if (data.type === 'init') {
+      const tokenizer = data.tokenizer ? engine.registerTokenizer(data.tokenizer.name, data.tokenizer.source) : null;
+      countTokens = tokenizer ? (text) => tokenizer.count(text) : engine.estimateTokens;
+      if (data.ocr) {
+        // On failure every OCR job reports that tesseract.js is not loaded
+        try { self.importScripts(data.ocr.library); } catch (err) { self.postMessage({ type: 'log', level: 'WARN', message: `tesseract.js unavailable in a worker: ${err.message}` }); }
+        engine.configureOcr({ langPath: data.ocr.langPath });
+      }
+    } else if (data.type === 'pause') {
+      if (!gate) { let open; gate = { promise: new Promise(r => { open = r; }) }; gate.open = open; }
+    } else if (data.type === 'resume') {
+      gate?.open();
+      gate = null;
+    } else if (data.type === 'job') {
+      let batch = [];
+      const send = () => {
+        if (batch.length > 0) self.postMessage({ type: 'chunks', chunks: batch });
+        batch = [];
+      };
+      try {
+        const record = await engine.processFile(data.file, {
+          settings: data.settings,
+          previous: data.previous,
+          countTokens,
+          onChunk: (chunk) => { batch.push(chunk); if (batch.length >= 200) send(); },
+          onProgress: (percent) => self.postMessage({ type: 'progress', percent }),
+          checkpoint
+        });
+        send();
+        self.postMessage({ type: 'done', record });
+      } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
       }
     }
+  };
+  self.postMessage({ type: 'ready' });
+};
 
-    if (end <= 0) end = CHUNK_TARGET_SIZE;
+// pdf.worker is imported next to pdf.js so pdf.js runs its parser in-thread (no nested workers)
+const WORKER_SOURCE = `
+importScripts('${PDFJS_URL}', '${PDFJS_WORKER_URL}', '${JSZIP_URL}');
+const engine = (${ragnatorEngine.toString()})(self);
+(${workerMain.toString()})(self, engine);
+`;
 
-    const chunkContent = this.buffer.slice(0, end).trim();
-    
-    if (chunkContent.length > 20) {
-      this.onChunkEmitted(chunkContent, this.filename, this.lastPageSeen);
-    }
+const WORKER_BOOT_TIMEOUT = 15000;
+const MAX_WORKERS = 8;
+const RUN_AHEAD_PER_LANE = 2; // finished files a lane may leave waiting for the committer
 
-    if (isFinal) {
-      this.buffer = "";
-    } else {
-      this.buffer = this.buffer.slice(end - CHUNK_OVERLAP);
+// A lane runs one file at a time: run(file, { settings, previous, onChunks, onProgress }) -> record.
+// stop() aborts the current job (its promise rejects) and retires the lane. Worker log lines go to onLog(type, message),
+// and the markup the worker cannot parse is parsed here, on the main thread, by digestMarkup().
+const createWorkerLane = (url, tokenizer, ocr, onLog) => new Promise((resolve, reject) => {
+  const worker = new Worker(url);
+  let job = null;
+  let booted = false;
+  const fail = (err) => {
+    const current = job;
+    job = null;
+    current?.reject(err);
+  };
+  const timer = setTimeout(() => { worker.terminate(); reject(new Error('Worker did not start in time')); }, WORKER_BOOT_TIMEOUT);
+
+  const lane = {
+    kind: 'worker',
+    run: (file, { settings, previous, onChunks, onProgress }) => new Promise((res, rej) => {
+      job = { resolve: res, reject: rej, onChunks, onProgress };
+      worker.postMessage({ type: 'job', file, settings, previous });
+    }),
+    pause: () => worker.postMessage({ type: 'pause' }),
+    resume: () => worker.postMessage({ type: 'resume' }),
+    stop: () => { worker.terminate(); fail(new Error('Cancelled')); }
+  };
+
+  worker.onerror = (e) => {
+    e.preventDefault?.();
+    if (!booted) { clearTimeout(timer); worker.terminate(); reject(new Error(e.message || 'Worker failed to start')); return; }
+    fail(new Error(e.message || 'Worker crashed'));
+  };
+  worker.onmessage = ({ data }) => {
+    switch (data?.type) {
+      case 'ready':
+        booted = true;
+        clearTimeout(timer);
+        worker.postMessage({ type: 'init', tokenizer: tokenizer ? { name: tokenizer.name, source: tokenizer.source } : null, ocr });
+        resolve(lane);
+        break;
+      case 'progress': job?.onProgress(data.percent); break;
+      case 'chunks': job?.onChunks(data.chunks); break;
+      case 'log': onLog(data.level, data.message); break;
+      case 'markup':
+        digestMarkup(data.raw, data.mimeType, data.digest).then(
+          result => worker.postMessage({ type: 'markup', id: data.id, result }),
+          err => worker.postMessage({ type: 'markup', id: data.id, error: err.message })
+        );
+        break;
+      case 'done': { const current = job; job = null; current?.resolve(data.record); break; }
+      case 'error': fail(new Error(data.message)); break;
+      default: break; // pdf.js' own handshake from the in-thread parser
     }
+  };
+});
+
+// Main-thread lane: the fallback when workers are unavailable
+const createInlineLane = (countTokens) => {
+  let gate = null;
+  let stopped = false;
+  const checkpoint = async () => {
+    await new Promise(r => setTimeout(r, 0));
+    if (gate) await gate.promise;
+    if (stopped) throw new Error('Cancelled');
+  };
+  return {
+    kind: 'inline',
+    run: (file, { settings, previous, onChunks, onProgress }) => processFile(file, {
+      settings, previous, countTokens, onProgress, checkpoint,
+      onChunk: (chunk) => onChunks([chunk])
+    }),
+    pause: () => { if (!gate) { let open; gate = { promise: new Promise(r => { open = r; }) }; gate.open = open; } },
+    resume: () => { gate?.open(); gate = null; },
+    stop: () => { stopped = true; gate?.open(); gate = null; releaseOcr(); }
+  };
+};
+
+// Boots up to `size` workers; falls back to a single main-thread lane if none come up.
+// `ocr` ({ library, langPath }) is only set for runs with OCR on.
+const startLanes = async (size, tokenizer, countTokens, ocr, onLog) => {
+  let workers = [];
+  if (size > 0 && typeof Worker !== 'undefined') {
+    const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+    const booted = await Promise.allSettled(Array.from({ length: size }, () => createWorkerLane(url, tokenizer, ocr, onLog)));
+    URL.revokeObjectURL(url);
+    workers = booted.filter(b => b.status === 'fulfilled').map(b => b.value);
+    const failure = booted.find(b => b.status === 'rejected');
+    if (failure && workers.length === 0) onLog('WARN', `Ingestion workers unavailable: ${failure.reason?.message || failure.reason}`);
   }
-}
+  return workers.length > 0 ? workers : [createInlineLane(countTokens)];
+};
 
 export default function Ragnator() {
   const [files, setFiles] = useState([]);
   const [processing, setProcessing] = useState(false);
-  const [outputFormat, setOutputFormat] = useState('txt'); // 'txt' | 'ndjson'
+  const [outputFormat, setOutputFormat] = useState('txt'); // EXPORTERS key
+  const [exportFormat, setExportFormat] = useState('langchain');
+  const [exportTemplate, setExportTemplate] = useState(JSON.stringify(DEFAULT_EXPORT_TEMPLATE, null, 2));
   const [logs, setLogs] = useState([]);
   const [progress, setProgress] = useState({ current: 0, total: 0, filename: '', percent: 0 });
   const [bundles, setBundles] = useState([]);
   const [systemReady, setSystemReady] = useState(false);
+  const [previousManifest, setPreviousManifest] = useState(null);
+  const [chunking, setChunking] = useState({ strategy: 'fixed', params: { ...CHUNKERS.fixed.defaults } });
+  const [encoding, setEncoding] = useState('estimate');
+  const [pdfMode, setPdfMode] = useState('layout');
+  const [stripBoilerplate, setStripBoilerplate] = useState(true);
+  const [ocrEnabled, setOcrEnabled] = useState(false);
+  const [ocrLanguages, setOcrLanguages] = useState('eng'); // tesseract codes, e.g. eng+por
+  const [dedupMode, setDedupMode] = useState('tag');
+  const [paused, setPaused] = useState(false);
+  const [indexedChunks, setIndexedChunks] = useState(0);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [expectedSources, setExpectedSources] = useState('');
+  const [retrievalTests, setRetrievalTests] = useState(() => {
+    try { return JSON.parse(localStorage.getItem(RETRIEVAL_TESTS_KEY)) || []; } catch { return []; }
+  });
+  const [testResults, setTestResults] = useState(null);
+  const [redaction, setRedaction] = useState(() => {
+    try { return { ...DEFAULT_REDACTION, ...JSON.parse(localStorage.getItem(REDACTION_KEY)) }; } catch { return DEFAULT_REDACTION; }
+  });
+  const [hashKey, setHashKey] = useState('');
+  const [outputTarget, setOutputTarget] = useState(CAN_PICK_FOLDER ? 'folder' : 'zip');
+  const [savedTo, setSavedTo] = useState(null); // folder label of the last run, null for ZIP
+  const [jobs, setJobs] = useState([]); // job history, newest first
+  const [resumeJob, setResumeJob] = useState(null); // interrupted run waiting for its files
+  const [sidebarTab, setSidebarTab] = useState('queue');
   const logEndRef = useRef(null);
 
-  const encoder = useRef(new TextEncoder());
-  const currentBundle = useRef({ id: 1, content: "", size: 0, chunkCount: 0 });
-  const finalBundles = useRef([]);
+  const dataset = useRef(null);
+  const output = useRef(null);
+  const jobStore = useRef(null);
+  const control = useRef({ paused: false, cancelled: false, lanes: [] });
 
   useEffect(() => {
     const init = async () => {
       try {
         if (window.pdfjsLib) { setSystemReady(true); return; }
         
-        const pdfJsVer = '3.11.174';
         const scriptMain = document.createElement('script');
-        scriptMain.src = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfJsVer}/pdf.min.js`;
+        scriptMain.src = PDFJS_URL;
         const scriptZip = document.createElement('script');
-        scriptZip.src = 'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js';
+        scriptZip.src = JSZIP_URL;
 
         await Promise.all([
           new Promise((resolve) => { scriptMain.onload = resolve; document.head.appendChild(scriptMain); }),
           new Promise((resolve) => { scriptZip.onload = resolve; document.head.appendChild(scriptZip); })
         ]);
 
-        window.pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfJsVer}/pdf.worker.min.js`;
+        window.pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
         setSystemReady(true);
         addLog('SYSTEM', 'RAGNATOR v3.2 Enterprise Engine Online.');
       } catch (e) {
@@ -129,6 +299,24 @@ export default function Ragnator() {
     logEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [logs]);
 
+  useEffect(() => {
+    JobStore.open().then(async (store) => {
+      jobStore.current = store;
+      const history = await store.list();
+      setJobs(history);
+      const interrupted = history.find(j => j.status === 'running');
+      if (interrupted) offerResume(interrupted);
+    }).catch(() => addLog('INFO', 'IndexedDB unavailable: runs will not survive a reload.'));
+  }, []);
+
+  useEffect(() => {
+    try { localStorage.setItem(RETRIEVAL_TESTS_KEY, JSON.stringify(retrievalTests)); } catch { /* storage unavailable (sandboxed canvas) */ }
+  }, [retrievalTests]);
+
+  useEffect(() => {
+    try { localStorage.setItem(REDACTION_KEY, JSON.stringify(redaction)); } catch { /* storage unavailable (sandboxed canvas) */ }
+  }, [redaction]);
+
   const addLog = (type, message) => {
     setLogs(prev => {
         const newLogs = [...prev, { type, message, time: new Date().toLocaleTimeString() }];
@@ -136,201 +324,504 @@ export default function Ragnator() {
     });
   };
 
+  // The queue of an interrupted run: checkpointed files come back finished, the rest wait to be re-added
+  const offerResume = (job) => {
+    setResumeJob(job);
+    setOutputFormat(job.format);
+    setFiles(job.files.map((f, i) => ({
+      id: `${job.id}_${i}`,
+      file: { name: f.name, size: f.size },
+      status: i < job.committed ? f.status : 'missing',
+      restored: i < job.committed
+    })));
+    addLog('SYSTEM', `Interrupted run from ${new Date(job.startedAt).toLocaleString()}: ${job.committed}/${job.files.length} files checkpointed. Re-add the remaining files to continue.`);
+    // Show the run's redaction panel so its Hash Key can be typed in again
+    if (job.settings.redaction) setRedaction(redactionPanel(job.settings.redaction));
+    if (job.redactionKeyCheck) addLog('SYSTEM', 'This run hashed values with your Hash Key: enter it again under Redact Sensitive Data before continuing.');
+  };
+
+  const discardResume = async () => {
+    if (!resumeJob) return;
+    try {
+      await jobStore.current.remove(resumeJob.id);
+      setJobs(await jobStore.current.list());
+    } catch (err) {
+      addLog('ERROR', `Could not discard the interrupted run: ${err.message}`);
+    }
+    setResumeJob(null);
+    setFiles(prev => prev.filter(f => !f.id.startsWith(resumeJob.id)));
+    addLog('INFO', 'Interrupted run discarded.');
+  };
+
   const handleFiles = (e) => {
     if (!e.target.files) return;
-    const newFiles = Array.from(e.target.files).map(f => ({
-      id: Math.random().toString(36).substr(2, 9),
-      file: f,
-      status: 'pending'
-    }));
-    setFiles(prev => [...prev, ...newFiles]);
-    addLog('INFO', `Queued ${newFiles.length} files.`);
+    const picked = Array.from(e.target.files);
+    e.target.value = "";
+    const rejected = picked.filter(f => !findExtractor(f));
+    const accepted = picked.filter(f => findExtractor(f));
+    if (rejected.length > 0) {
+      addLog('ERROR', `Rejected ${rejected.length} unsupported file(s): ${rejected.map(f => f.name).join(', ')}`);
+    }
+    if (accepted.length === 0) return;
+
+    // Files of an interrupted run are re-attached by name and size
+    const next = [...files];
+    const newFiles = [];
+    let attached = 0;
+    for (const f of accepted) {
+      const i = next.findIndex(item => item.status === 'missing' && item.file.name === f.name && item.file.size === f.size);
+      if (i === -1) {
+        newFiles.push({ id: Math.random().toString(36).substr(2, 9), file: f, status: 'pending' });
+      } else {
+        next[i] = { ...next[i], file: f, status: 'pending' };
+        attached++;
+      }
+    }
+    setFiles([...next, ...newFiles]);
+    if (attached > 0) addLog('INFO', `Re-attached ${attached} file(s) to the interrupted run.`);
+    if (newFiles.length > 0) addLog('INFO', `Queued ${newFiles.length} files.`);
   };
 
-  // --- ENGINE CORE ---
+  const downloadJobManifest = (job) => {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(job.manifest, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `dataset_summary_${job.startedAt.slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
 
-  const formatChunk = (text, filename, page, format) => {
-    if (format === 'ndjson') {
-      // Enterprise NDJSON Schema
-      return JSON.stringify({
-        id: `chunk_${Math.random().toString(36).substr(2, 9)}`,
-        source: filename,
-        page: page,
-        content: text,
-        tokens: Math.round(text.length / 4), // Rough token estimation
-        created_at: new Date().toISOString()
-      }) + "\n";
-    } else {
-      // Classic Enriched Text
-      return `[METADATA: Source="${filename}" | Page=${page}]\n---\n${text}\n---\n\n`;
+  const loadJobManifest = (job) => {
+    setPreviousManifest(job.manifest);
+    addLog('INFO', `Using the manifest of the ${new Date(job.startedAt).toLocaleString()} run (${job.manifest.sources.length} sources). Unchanged files will be skipped.`);
+  };
+
+  const deleteJob = async (job) => {
+    try {
+      await jobStore.current.remove(job.id);
+      setJobs(await jobStore.current.list());
+    } catch (err) {
+      addLog('ERROR', `Could not delete the job: ${err.message}`);
     }
   };
 
-  const appendToBundle = (rawText, filename, page, format) => {
-    const formattedText = formatChunk(rawText, filename, page, format);
-    const len = encoder.current.encode(formattedText).length;
-    
-    if (currentBundle.current.size + len > MAX_BUNDLE_SIZE) {
-      const ext = format === 'ndjson' ? 'ndjson' : 'txt';
-      finalBundles.current.push({
-        name: `RAGNATOR_PART_${String(currentBundle.current.id).padStart(3, '0')}.${ext}`,
-        content: currentBundle.current.content,
-        chunks: currentBundle.current.chunkCount
-      });
-      addLog('SYSTEM', `📦 Bundle #${currentBundle.current.id} Sealed (${(currentBundle.current.size/1024/1024).toFixed(2)}MB).`);
-      
-      currentBundle.current = {
-        id: currentBundle.current.id + 1,
-        content: formattedText,
-        size: len,
-        chunkCount: 1
-      };
-      
-      setBundles([...finalBundles.current]);
-    } else {
-      currentBundle.current.content += formattedText;
-      currentBundle.current.size += len;
-      currentBundle.current.chunkCount++;
+  const handleManifest = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const manifest = JSON.parse(await file.text());
+      if (!Array.isArray(manifest.sources)) throw new Error('No per-source records (exported by an older version?)');
+      setPreviousManifest(manifest);
+      addLog('INFO', `Loaded previous manifest (${manifest.sources.length} sources). Unchanged files will be skipped.`);
+    } catch (err) {
+      addLog('ERROR', `Manifest rejected: ${err.message}`);
     }
   };
 
-  const runPipeline = async (targetFormat) => {
+  const handleRankFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const name = file.name.replace(/\.tiktoken$/, '');
+    if (!ENCODINGS[name]?.pattern) {
+      addLog('ERROR', `Unknown encoding "${name}". Expected one of: ${Object.keys(ENCODINGS).filter(k => ENCODINGS[k].pattern).join(', ')}.`);
+      return;
+    }
+    try {
+      const tokenizer = registerTokenizer(name, await file.text());
+      setEncoding(name);
+      addLog('SYSTEM', `Tokenizer ${name} loaded from disk (${tokenizer.ranks.size} ranks).`);
+    } catch (err) {
+      addLog('ERROR', `Rank file rejected: ${err.message}`);
+    }
+  };
+
+  // --- ENGINE CORE ---
+
+  // `resume` is an interrupted job from the job store: its settings win and its checkpoints are replayed
+  const runPipeline = async (targetFormat, resume = null) => {
     if (processing) return;
+    let exportOptions = resume ? resume.exportOptions : {};
+    if (!resume && targetFormat === 'custom') {
+      try {
+        exportOptions = { template: JSON.parse(exportTemplate) };
+      } catch (err) {
+        addLog('ERROR', `Field mapping template is not valid JSON: ${err.message}`);
+        return;
+      }
+    }
+    let redactionSettings = resume ? resume.settings.redaction || null : null;
+    // The hash key never goes to IndexedDB: a resumed run needs the user's key again, checked against its fingerprint
+    let redactionKey = null;
+    if (!resume) {
+      try {
+        ({ redaction: redactionSettings, key: redactionKey } = redactionConfig(redaction, hashKey));
+      } catch (err) {
+        addLog('ERROR', err.message);
+        return;
+      }
+    } else if (redactionSettings?.hash_key === 'per-run') {
+      addLog('ERROR', 'Cannot resume: the run hashed values with a random key that was never saved. Discard it and start again (enter a Hash Key to make such runs resumable).');
+      return;
+    } else if (redactionSettings?.hash_key) {
+      if (!hashKey || Redactor.keyCheck(hashKey) !== resume.redactionKeyCheck) {
+        addLog('ERROR', `Cannot resume: ${hashKey ? 'the Hash Key entered is not the one' : 'enter the Hash Key'} this run used, then Continue.`);
+        return;
+      }
+      redactionKey = hashKey;
+    }
+
+    // The picker must open straight from the click that started the run
+    const root = datasetRoot(new Date().toISOString());
+    let sink = null;
+    if (outputTarget === 'folder') {
+      try {
+        const dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+        sink = directorySink(await dir.getDirectoryHandle(root, { create: true }), `${dir.name}/${root}`);
+      } catch (err) {
+        if (err.name === 'AbortError') return;
+        addLog('INFO', `Folder output unavailable (${err.message}): streaming into a ZIP instead.`);
+      }
+    }
+    output.current = sink || zipSink(root);
+    setSavedTo(sink ? sink.label : null);
+
     setProcessing(true);
+    setPaused(false);
     setOutputFormat(targetFormat);
-    finalBundles.current = [];
-    currentBundle.current = { id: 1, content: "", size: 0, chunkCount: 0 };
+    setIndexedChunks(0);
+    setSearchResults([]);
+    setTestResults(null);
     setBundles([]);
+
+    const store = jobStore.current;
+    const settings = resume ? resume.settings.chunking : normalizeChunking(chunking);
+    const encodingName = resume ? resume.settings.tokenizer.encoding : encoding;
+    const extraction = resume ? resume.settings.extraction : {
+      pdf: pdfMode,
+      strip_boilerplate: stripBoilerplate,
+      ...(ocrEnabled ? { ocr: { languages: ocrLanguages.trim() || 'eng' } } : {})
+    };
+    const deduplication = resume ? resume.deduplication : dedupMode;
+    const baseline = resume ? await store.previous(resume.id) : previousManifest;
+    setChunking(settings);
+    setEncoding(encodingName);
+    setPdfMode(extraction.pdf);
+    setStripBoilerplate(extraction.strip_boilerplate);
+    setOcrEnabled(!!extraction.ocr);
+    if (extraction.ocr) setOcrLanguages(extraction.ocr.languages);
+    if (resume) setRedaction(prev => redactionSettings ? redactionPanel(redactionSettings) : { ...prev, enabled: false });
+    setDedupMode(deduplication);
+    setPreviousManifest(baseline);
+
+    let tokenizer = null;
+    try {
+      tokenizer = await getTokenizer(encodingName);
+    } catch (err) {
+      if (resume) {
+        // Estimates would cut different chunks than the checkpointed part of the run
+        addLog('ERROR', `Cannot resume without the ${encodingName} tokenizer: ${err.message}. Load its .tiktoken file and continue again.`);
+        setProcessing(false);
+        return;
+      }
+      addLog('ERROR', `Tokenizer unavailable, falling back to estimates: ${err.message}`);
+    }
+    const countTokens = tokenizer ? (text) => tokenizer.count(text) : estimateTokens;
+    const tokenizerInfo = { encoding: tokenizer ? tokenizer.name : 'estimate', exact: !!tokenizer };
+    dataset.current = new DatasetBuilder({
+      format: targetFormat,
+      exportOptions,
+      deduplication,
+      settings: { chunking: settings, tokenizer: tokenizerInfo, extraction, ...(redactionSettings ? { redaction: redactionSettings } : {}) },
+      previousManifest: baseline,
+      sink: output.current,
+      onSeal: (sealed) => setBundles([...sealed]),
+      onLog: addLog
+    });
     
-    addLog('START', `Initializing Pipeline (Mode: ${targetFormat.toUpperCase()})...`);
+    addLog('START', `Initializing Pipeline (Mode: ${EXPORTERS[targetFormat].label}, Chunker: ${CHUNKERS[settings.strategy].label}, Tokens: ${tokenizerInfo.encoding}, PDF: ${extraction.pdf}${extraction.ocr ? `, OCR: ${extraction.ocr.languages}` : ''}${redactionSettings ? `, Redaction: ${redactionSettings.rules.length} rule(s)` : ''})...`);
 
     const queue = files.filter(f => f.status === 'pending');
-    
-    for (let i = 0; i < queue.length; i++) {
-      const item = queue[i];
-      setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'processing' } : f));
-      setProgress({ current: i + 1, total: queue.length, filename: item.file.name, percent: 0 });
+    const sameChunking = sameSettings(baseline, dataset.current.settings, deduplication);
+    if (baseline && !sameChunking) {
+      addLog('INFO', 'Extraction, redaction, chunking, tokenizer or deduplication settings differ from the previous manifest: every file will be re-chunked.');
+    } else if (baseline && deduplication !== 'off') {
+      addLog('INFO', 'Deduplication compares every file with every other: all files are re-chunked so the dataset matches a full run. Turn dedup off to skip unchanged files.');
+    }
+    const findPrevious = sourceMatcher(baseline?.sources);
+    const jobSettings = { chunking: settings, extraction, redaction: redactionSettings && { ...redactionSettings, key: redactionKey }, skipUnchanged: sameChunking && deduplication === 'off' };
 
+    // Checkpoints: files 0..committed-1 of job.files are in the store and replay on resume
+    const startedAt = new Date().toISOString();
+    const queued = queue.map(({ file }) => ({ name: file.name, size: file.size, status: 'pending' }));
+    const job = resume
+      ? { ...resume, files: [...resume.files.slice(0, resume.committed), ...queued], updatedAt: startedAt }
+      : { id: `job_${Math.random().toString(36).substr(2, 9)}`, status: 'running', startedAt, updatedAt: startedAt, format: targetFormat, exportOptions, deduplication, settings: dataset.current.settings, files: queued, committed: 0, bundle: dataset.current.checkpoint(), manifest: null, ...(redactionSettings?.hash_key === 'supplied' ? { redactionKeyCheck: Redactor.keyCheck(redactionKey) } : {}) };
+    let checkpointing = !!store;
+    const persist = async (write) => {
+      if (!checkpointing) return;
       try {
-        const stream = new StreamProcessor(item.file.name, (chunk, fname, pg) => {
-           appendToBundle(chunk, fname, pg, targetFormat);
-        });
+        await write(store);
+      } catch (err) {
+        checkpointing = false;
+        addLog('ERROR', `Checkpointing stopped (${err.message}): this run cannot be resumed after a reload.`);
+      }
+    };
 
-        if (item.file.type === 'application/pdf' || item.file.name.endsWith('.pdf')) {
-          await processPDF(item.file, stream, (pct) => setProgress(p => ({ ...p, percent: pct })));
-        } else {
-          const text = await extractOtherText(item.file);
-          stream.processText(text);
+    if (resume) {
+      addLog('SYSTEM', `Replaying ${job.committed} checkpointed file(s)...`);
+      try {
+        const replayedQuality = new Map();
+        for (let i = 0; i < job.committed; i++) {
+          const entry = await store.load(job.id, i);
+          if (!entry) throw new Error(`checkpoint ${i + 1} is missing`);
+          if (entry.status === 'error') dataset.current.addError(entry.file, entry.record);
+          else dataset.current.addSource(entry.record, entry.chunks);
+          if (entry.record?.quality) replayedQuality.set(entry.record.source, entry.record.quality);
+          await dataset.current.flush();
         }
+        setFiles(prev => prev.map(f => replayedQuality.has(f.file.name) ? { ...f, quality: replayedQuality.get(f.file.name) } : f));
+      } catch (err) {
+        addLog('ERROR', `Resume failed: ${err.message}. Discard the interrupted run and start again.`);
+        setProcessing(false);
+        return;
+      }
+      const { current } = dataset.current.checkpoint();
+      if (JSON.stringify(dataset.current.checkpoint()) !== JSON.stringify(job.bundle)) {
+        addLog('ERROR', `Replay ended in bundle #${current.id} with ${current.chunkCount} chunks, the checkpoint says #${job.bundle.current.id} with ${job.bundle.current.chunkCount}: output may differ from an uninterrupted run.`);
+      } else {
+        addLog('SYSTEM', `Resumed in bundle #${current.id} (${current.chunkCount} chunks open), ${queue.length} file(s) to go.`);
+      }
+      setResumeJob(null);
+    } else {
+      if (resumeJob) {
+        // Starting over: the interrupted run stays in the history but can no longer be resumed
+        await persist(s => s.finish({ ...resumeJob, status: 'interrupted' }));
+        setResumeJob(null);
+      }
+      await persist(s => s.start(job, baseline));
+    }
+    if (store) store.list().then(setJobs, () => {});
 
-        stream.flush();
-        setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'done' } : f));
-        addLog('SUCCESS', `Finished: ${item.file.name}`);
+    const workerCount = Math.max(1, Math.min((navigator.hardwareConcurrency || 2) - 1, MAX_WORKERS, queue.length));
+    let ocr = null;
+    if (extraction.ocr) {
+      // Workers load tesseract.js themselves; the main thread needs it for PDFs only without workers
+      ocr = { library: TESSERACT_URL, langPath: new URL(TESSDATA_PATH, document.baseURI).href };
+      configureOcr({ langPath: ocr.langPath });
+      if (!window.Tesseract) await loadScript(TESSERACT_URL).catch(err => addLog('ERROR', `${err.message}: PDFs read on the main thread cannot use OCR.`));
+    }
+    const lanes = await startLanes(workerCount, tokenizer, countTokens, ocr, addLog);
+    control.current = { paused: false, cancelled: false, lanes };
+    const workers = lanes.filter(l => l.kind === 'worker').length;
+    addLog('SYSTEM', workers > 0 ? `Worker pool online: ${workers} worker(s).` : 'Workers unavailable: processing on the main thread.');
 
-      } catch (err) {
-        console.error(err);
+    // Files run in parallel, but their chunks are committed in queue order so bundles stay deterministic
+    const results = queue.map(() => {
+      let settle;
+      const promise = new Promise(r => { settle = r; });
+      return { promise, settle, claimed: false, settled: false };
+    });
+    const settle = (i, result) => {
+      if (results[i].settled) return;
+      results[i].settled = true;
+      results[i].settle(result);
+    };
+    let finished = 0;
+    const runAhead = lanes.length * RUN_AHEAD_PER_LANE;
+
+    const drain = async (lane) => {
+      while (!control.current.cancelled) {
+        while (control.current.paused && !control.current.cancelled) await new Promise(r => setTimeout(r, 100));
+        if (control.current.cancelled) return;
+        const i = results.findIndex(r => !r.claimed);
+        if (i === -1) return;
+        // Finished files hold their chunks until committed, so a slow file at the front caps how far lanes run on
+        if (i >= finished + runAhead) {
+          await new Promise(r => setTimeout(r, 100));
+          continue;
+        }
+        results[i].claimed = true;
+        const item = queue[i];
+        setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'processing' } : f));
+        setProgress(p => ({ ...p, filename: item.file.name, percent: 0 }));
+
+        const chunks = [];
+        try {
+          const record = await lane.run(item.file, {
+            settings: jobSettings,
+            previous: findPrevious({ source: item.file.name, ...sourcePath(item.file) }),
+            onChunks: (batch) => { chunks.push(...batch); },
+            onProgress: (pct) => setProgress(p => ({ ...p, filename: item.file.name, percent: pct }))
+          });
+          settle(i, { record, chunks });
+        } catch (err) {
+          settle(i, control.current.cancelled ? { cancelled: true } : { error: err });
+        }
+      }
+    };
+
+    // Returns what to checkpoint for the file, or null if it went back to the queue
+    const commit = (item, { record, chunks, error, cancelled }) => {
+      if (cancelled) {
+        setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'pending' } : f));
+        return null;
+      }
+      if (error) {
+        console.error(error);
+        const failed = dataset.current.addError(item.file, findPrevious({ source: item.file.name, ...sourcePath(item.file) }));
         setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'error' } : f));
-        addLog('ERROR', `${item.file.name}: ${err.message}`);
+        addLog('ERROR', `${item.file.name}: ${error.message}`);
+        return { status: 'error', file: { name: item.file.name, size: item.file.size }, record: failed };
+      }
+      dataset.current.addSource(record, chunks);
+      if (record.status === 'unchanged') {
+        setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'skipped', quality: record.quality } : f));
+        addLog('INFO', `Unchanged, skipped: ${item.file.name}`);
+        return { status: 'skipped', record };
       }
+      if (record.removed_lines > 0) addLog('INFO', `${item.file.name}: stripped ${record.removed_lines} repeated header/footer lines.`);
+      if (record.quality?.ocr_pages?.length > 0) addLog('INFO', `${item.file.name}: OCR read ${record.quality.ocr_pages.length} page(s), mean confidence ${record.quality.ocr_confidence}.`);
+      const redacted = Object.entries(record.redactions || {}).filter(([, count]) => count > 0);
+      if (redacted.length > 0) addLog('INFO', `${item.file.name}: redacted ${redacted.map(([id, count]) => `${count} ${id}`).join(', ')}.`);
+      qualityWarnings(item.file.name, record.quality).forEach(w => addLog('WARN', w));
+      setFiles(prev => prev.map(f => f.id === item.id ? { ...f, status: 'done', quality: record.quality } : f));
+      addLog('SUCCESS', `Finished: ${item.file.name}`);
+      return { status: 'done', record, chunks };
+    };
 
-      await new Promise(r => setTimeout(r, 20));
-    }
+    setProgress({ current: 0, total: queue.length, filename: '', percent: 0 });
+    const committer = (async () => {
+      for (let i = 0; i < queue.length; i++) {
+        const result = await results[i].promise;
+        results[i].promise = null; // release the buffered chunks once committed
+        const entry = commit(queue[i], result);
+        await dataset.current.flush(); // never let sealed bundles pile up behind a slow disk
+        if (!entry) {
+          checkpointing = false; // a gap in the committed prefix: nothing after it can be replayed
+        } else if (checkpointing) {
+          job.files[job.committed].status = entry.status;
+          job.committed++;
+          job.bundle = dataset.current.checkpoint();
+          job.updatedAt = new Date().toISOString();
+          await persist(s => s.commit(job, job.committed - 1, entry));
+        }
+        finished++;
+        setProgress(p => ({ ...p, current: finished }));
+      }
+    })();
 
-    if (currentBundle.current.content.length > 0) {
-      const ext = targetFormat === 'ndjson' ? 'ndjson' : 'txt';
-      finalBundles.current.push({
-        name: `RAGNATOR_PART_${String(currentBundle.current.id).padStart(3, '0')}.${ext}`,
-        content: currentBundle.current.content,
-        chunks: currentBundle.current.chunkCount
-      });
-      setBundles([...finalBundles.current]);
+    await Promise.all(lanes.map(drain));
+    // Anything left unclaimed (the run was cancelled) goes back to the queue
+    results.forEach((r, i) => settle(i, { cancelled: true }));
+    await committer;
+    lanes.forEach(l => l.stop());
+
+    dataset.current.finish({ compare: !control.current.cancelled });
+    if (control.current.cancelled) {
+      const kept = dataset.current.sources.length;
+      addLog('SYSTEM', `Cancelled: kept ${kept} finished file(s), ${queue.length - kept} returned to the queue.`);
     }
 
+    setIndexedChunks(dataset.current.searchIndex.size);
+    if (store) {
+      job.status = control.current.cancelled ? 'cancelled' : 'finished';
+      job.manifest = dataset.current.manifest();
+      job.updatedAt = new Date().toISOString();
+      try {
+        await store.finish(job);
+        setJobs(await store.list());
+      } catch (err) {
+        addLog('ERROR', `Job history not saved: ${err.message}`);
+      }
+    }
+    if (sink) await saveDataset();
     setProcessing(false);
-    addLog('COMPLETE', 'Pipeline Finished.');
+    setPaused(false);
+    addLog('COMPLETE', control.current.cancelled ? 'Pipeline Cancelled.' : 'Pipeline Finished.');
+  };
+
+  const togglePause = () => {
+    const next = !control.current.paused;
+    control.current.paused = next;
+    control.current.lanes.forEach(l => next ? l.pause() : l.resume());
+    setPaused(next);
+    addLog('SYSTEM', next ? 'Paused: running files hold at their next checkpoint.' : 'Resumed.');
   };
 
-  // --- EXTRACTORS ---
+  const cancelPipeline = () => {
+    if (control.current.cancelled) return;
+    control.current.cancelled = true;
+    control.current.lanes.forEach(l => l.stop());
+    addLog('SYSTEM', 'Cancelling...');
+  };
 
-  const processPDF = async (file, streamProcessor, onProgress) => {
-    const buffer = await file.arrayBuffer();
-    const pdf = await window.pdfjsLib.getDocument(buffer).promise;
-    const total = pdf.numPages;
-    
-    for (let i = 1; i <= total; i++) {
-      let page = null;
-      try {
-        page = await pdf.getPage(i);
-        const content = await page.getTextContent();
-        const strings = content.items.map(item => item.str);
-        // Inject marker for page tracking
-        const pageText = strings.join(' ') + ` [PAGE_END:${i}]\n`;
-        
-        streamProcessor.processText(pageText);
+  // --- RETRIEVAL TEST BENCH ---
 
-        if (i % 5 === 0) onProgress(Math.round((i / total) * 100));
-      } catch (e) {
-        console.warn(`Page ${i} error`, e);
-      } finally {
-        if (page) page.cleanup();
-      }
-      if (i % 10 === 0) await new Promise(r => setTimeout(r, 1));
+  const runSearch = (e) => {
+    e?.preventDefault();
+    if (!searchQuery.trim()) return;
+    setSearchResults(dataset.current.searchIndex.search(searchQuery, 10));
+  };
+
+  const saveRetrievalTest = () => {
+    const expected = expectedSources.split(',').map(x => x.trim()).filter(Boolean);
+    if (!searchQuery.trim() || expected.length === 0) {
+      addLog('ERROR', 'A test query needs the query text and at least one expected source.');
+      return;
     }
-    if (pdf) pdf.destroy();
+    setRetrievalTests(prev => [...prev.filter(t => t.query !== searchQuery.trim()), { query: searchQuery.trim(), expected, k: 5 }]);
+    setExpectedSources('');
   };
 
-  const extractOtherText = async (file) => {
-     if (file.name.endsWith('.epub')) {
-        const zip = await window.JSZip.loadAsync(file);
-        let t = "";
-        const files = [];
-        zip.forEach((path, entry) => {
-            if (entry.name.match(/\.(html|xhtml|xml)$/)) files.push(entry);
-        });
-        for (const f of files) {
-            const raw = await f.async('string');
-            const doc = new DOMParser().parseFromString(raw, 'text/html');
-            t += (doc.body?.textContent || "") + "\n";
-        }
-        return t;
-     }
-     return "Format not supported";
+  const runRetrievalChecks = () => {
+    const results = runRetrievalTests(dataset.current.searchIndex, retrievalTests, { unindexed: dataset.current.unindexedSources() });
+    setTestResults(results);
+    const { type, message } = retrievalVerdict(results);
+    addLog(type, message);
   };
 
-  const downloadAll = async () => {
-    if (bundles.length === 0) return;
-    const zip = new window.JSZip();
-    
-    // Enterprise Folder Structure
-    const rootFolder = zip.folder(`RAGNATOR_DATASET_${new Date().toISOString().slice(0,10)}`);
-    const dataFolder = rootFolder.folder(outputFormat === 'ndjson' ? 'NDJSON' : 'TEXT_CHUNKS');
-    
-    let totalSize = 0;
-    
-    bundles.forEach(b => {
-        dataFolder.file(b.name, b.content);
-        totalSize += new Blob([b.content]).size;
-    });
+  const handleRetrievalTests = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const tests = JSON.parse(await file.text()).tests;
+      if (!Array.isArray(tests)) throw new Error('No "tests" list');
+      setRetrievalTests(tests.filter(t => t.query && Array.isArray(t.expected)).map(t => ({ query: t.query, expected: t.expected, k: t.k || 5 })));
+      setTestResults(null);
+      addLog('INFO', `Loaded ${tests.length} retrieval test queries.`);
+    } catch (err) {
+      addLog('ERROR', `Retrieval tests rejected: ${err.message}`);
+    }
+  };
 
-    // Metadata Manifest
-    const manifest = {
-        dataset_name: "RAGNATOR_EXPORT",
-        created_at: new Date().toISOString(),
-        format: outputFormat,
-        total_files: bundles.length,
-        total_size_bytes: totalSize,
-        total_chunks_approx: bundles.reduce((acc, b) => acc + (b.chunks || 0), 0),
-        generated_by: "Ragnator v3.2 Enterprise"
-    };
-    
-    rootFolder.file("dataset_summary.json", JSON.stringify(manifest, null, 2));
+  // Bundles are already in the folder or the ZIP stream; this adds the manifest, sidecars and tests
+  const saveDataset = async () => {
+    if (!dataset.current || dataset.current.bundles.length === 0) return;
+    await dataset.current.flush();
+    const createdAt = new Date().toISOString();
+    const datasetFiles = dataset.current.files({ createdAt, tests: retrievalTests });
+    const sink = output.current;
 
-    const blob = await zip.generateAsync({ type: 'blob' });
+    if (!sink.toBlob) {
+      try {
+        for (const f of datasetFiles) await sink.write(f.path, f.content);
+        addLog('SUCCESS', `Saved dataset_summary.json to ${sink.label}.`);
+      } catch (err) {
+        addLog('ERROR', `Could not write to ${sink.label}: ${err.message}`);
+      }
+      return;
+    }
+
+    const blob = await sink.toBlob(datasetFiles);
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `RAGNATOR_${outputFormat.toUpperCase()}_DATASET.zip`;
+    a.download = datasetZipName(outputFormat);
     a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
   };
 
   if (!systemReady) {
@@ -366,13 +857,160 @@ export default function Ragnator() {
         <div className="w-1/3 border-r border-slate-800 bg-slate-950 flex flex-col p-4 gap-4">
             
             <div className="relative group h-40 shrink-0">
-                <input type="file" multiple accept=".pdf,.epub" onChange={handleFiles} disabled={processing} className="absolute inset-0 w-full h-full opacity-0 z-10 cursor-pointer disabled:cursor-not-allowed"/>
+                <input type="file" multiple accept={EXTRACTORS.flatMap(x => x.extensions).join(',')} onChange={handleFiles} disabled={processing} className="absolute inset-0 w-full h-full opacity-0 z-10 cursor-pointer disabled:cursor-not-allowed"/>
                 <div className={`h-full border-2 border-dashed rounded-lg flex flex-col items-center justify-center gap-2 transition-all ${processing ? 'border-slate-800 opacity-50' : 'border-slate-700 group-hover:border-red-500 group-hover:bg-red-500/5'}`}>
                     <Upload className="text-slate-500 group-hover:text-red-500 transition-colors" />
                     <span className="text-xs font-mono uppercase text-slate-500">Drop Files Here</span>
                 </div>
             </div>
 
+            {/* Extraction & Chunking Settings */}
+            <div className="shrink-0 bg-slate-900/50 rounded border border-slate-800 p-3 flex flex-col gap-2">
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-mono text-slate-500 uppercase">PDF Text</span>
+                    <select
+                      value={pdfMode}
+                      onChange={(e) => setPdfMode(e.target.value)}
+                      disabled={processing}
+                      className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                    >
+                        {Object.entries(PDF_EXTRACTION_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+                <label className="flex items-center justify-between gap-2 text-xs font-mono text-slate-500 uppercase cursor-pointer">
+                    Strip Headers / Footers
+                    <input type="checkbox" checked={stripBoilerplate} onChange={(e) => setStripBoilerplate(e.target.checked)} disabled={processing} className="accent-red-600"/>
+                </label>
+                <div className="flex items-center justify-between gap-2">
+                    <label className="flex items-center gap-2 text-xs font-mono text-slate-500 uppercase cursor-pointer" title={`Reads PDF pages without a text layer; needs <lang>.traineddata in ${TESSDATA_PATH}`}>
+                        <input type="checkbox" checked={ocrEnabled} onChange={(e) => setOcrEnabled(e.target.checked)} disabled={processing} className="accent-red-600"/>
+                        OCR Scanned Pages
+                    </label>
+                    <input
+                      value={ocrLanguages}
+                      onChange={(e) => setOcrLanguages(e.target.value)}
+                      disabled={processing || !ocrEnabled}
+                      placeholder="eng+por"
+                      className="w-24 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 font-mono focus:border-red-500 outline-none disabled:opacity-50"
+                    />
+                </div>
+                <label className="flex items-center justify-between gap-2 text-xs font-mono text-slate-500 uppercase cursor-pointer">
+                    Redact Sensitive Data
+                    <input type="checkbox" checked={redaction.enabled} onChange={(e) => setRedaction(prev => ({ ...prev, enabled: e.target.checked }))} disabled={processing} className="accent-red-600"/>
+                </label>
+                {redaction.enabled && (
+                  <div className="flex flex-col gap-2 pl-2 border-l border-slate-800">
+                    <div className="grid grid-cols-2 gap-2">
+                        {Object.entries(REDACTION_DETECTORS).map(([id, spec]) => (
+                            <label key={id} className="flex flex-col gap-1 text-[10px] text-slate-500 uppercase tracking-wider">
+                                {spec.label}
+                                <select
+                                  value={redaction.detectors[id] || 'off'}
+                                  onChange={(e) => setRedaction(prev => ({ ...prev, detectors: { ...prev.detectors, [id]: e.target.value } }))}
+                                  disabled={processing}
+                                  className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs normal-case tracking-normal text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                                >
+                                    <option value="off">Off</option>
+                                    {Object.entries(REDACTION_ACTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                                </select>
+                            </label>
+                        ))}
+                    </div>
+                    <label className="flex flex-col gap-1 text-[10px] text-slate-500 uppercase tracking-wider">
+                        Custom Rules (id action regex, one per line)
+                        <textarea
+                          value={redaction.custom}
+                          onChange={(e) => setRedaction(prev => ({ ...prev, custom: e.target.value }))}
+                          disabled={processing}
+                          rows={3}
+                          spellCheck={false}
+                          placeholder={'employee_id hash /EMP-\\d{6}/i'}
+                          className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs font-mono normal-case tracking-normal text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                        />
+                    </label>
+                    <label title="HMAC key for the hash action. The same key gives the same pseudonyms across runs; empty uses a random key for this run only. Never saved: to resume an interrupted run, enter it again." className="flex flex-col gap-1 text-[10px] text-slate-500 uppercase tracking-wider">
+                        Hash Key (optional)
+                        <input
+                          type="password"
+                          value={hashKey}
+                          onChange={(e) => setHashKey(e.target.value)}
+                          disabled={processing}
+                          autoComplete="off"
+                          placeholder="random per run"
+                          className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs font-mono normal-case tracking-normal text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                        />
+                    </label>
+                  </div>
+                )}
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-mono text-slate-500 uppercase">Duplicates</span>
+                    <select
+                      value={dedupMode}
+                      onChange={(e) => setDedupMode(e.target.value)}
+                      disabled={processing}
+                      className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                    >
+                        {Object.entries(DEDUP_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-mono text-slate-500 uppercase">Output</span>
+                    <select
+                      value={outputTarget}
+                      onChange={(e) => setOutputTarget(e.target.value)}
+                      disabled={processing}
+                      className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                    >
+                        {Object.entries(OUTPUT_TARGETS).map(([key, label]) => <option key={key} value={key} disabled={key === 'folder' && !CAN_PICK_FOLDER}>{label}</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-mono text-slate-500 uppercase">Chunker</span>
+                    <select
+                      value={chunking.strategy}
+                      onChange={(e) => setChunking({ strategy: e.target.value, params: { ...CHUNKERS[e.target.value].defaults } })}
+                      disabled={processing}
+                      className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                    >
+                        {Object.entries(CHUNKERS).map(([key, spec]) => <option key={key} value={key}>{spec.label}</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                    <span className="text-xs font-mono text-slate-500 uppercase">Tokens</span>
+                    <div className="flex items-center gap-2 min-w-0">
+                        <select
+                          value={encoding}
+                          onChange={(e) => setEncoding(e.target.value)}
+                          disabled={processing}
+                          className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50 min-w-0"
+                        >
+                            {Object.entries(ENCODINGS).map(([key, spec]) => <option key={key} value={key}>{spec.label}</option>)}
+                        </select>
+                        <label title="Load a .tiktoken rank file from disk" className={`shrink-0 p-1 border border-slate-800 rounded text-slate-500 hover:text-red-500 hover:border-red-500 transition-all ${processing ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+                            <input type="file" accept=".tiktoken" onChange={handleRankFile} disabled={processing} className="hidden"/>
+                            <Upload className="w-3 h-3"/>
+                        </label>
+                    </div>
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                    {CHUNKERS[chunking.strategy].fields.map(field => (
+                        <label key={field.key} className="flex flex-col gap-1 text-[10px] text-slate-500 uppercase tracking-wider">
+                            {field.label}
+                            <input
+                              type="number"
+                              min={field.min}
+                              max={field.max}
+                              value={chunking.params[field.key]}
+                              onChange={(e) => setChunking(prev => ({ ...prev, params: { ...prev.params, [field.key]: e.target.value } }))}
+                              onBlur={() => setChunking(prev => normalizeChunking(prev))}
+                              disabled={processing}
+                              className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs font-mono text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                            />
+                        </label>
+                    ))}
+                </div>
+            </div>
+
             <div className="flex flex-col gap-3 shrink-0">
                 {/* Standard Process */}
                 <button 
@@ -394,27 +1032,133 @@ export default function Ragnator() {
                     {processing && outputFormat === 'ndjson' ? 'Generating...' : 'Create NDJSON (Perplexity)'}
                 </button>
 
-                <div className="flex justify-end">
-                  <button onClick={() => setFiles([])} disabled={processing} className="px-4 py-2 bg-slate-900 border border-slate-800 hover:border-red-500 rounded text-slate-400 hover:text-red-500 transition-all flex items-center gap-2 text-xs uppercase"><Trash2 className="w-3 h-3"/> Clear</button>
+                {/* Other Export Targets */}
+                <div className="flex items-center gap-2">
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    disabled={processing}
+                    className="flex-1 min-w-0 bg-slate-950 border border-slate-800 rounded px-2 py-2 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                  >
+                      {Object.values(EXPORTERS).filter(x => x.id !== 'txt' && x.id !== 'ndjson').map(x => <option key={x.id} value={x.id}>{x.label}</option>)}
+                  </select>
+                  <button
+                    onClick={() => runPipeline(exportFormat)}
+                    disabled={processing || files.length === 0}
+                    className="shrink-0 px-4 py-2 bg-slate-900 border border-slate-800 hover:border-green-500 disabled:opacity-50 rounded text-slate-400 hover:text-green-500 transition-all flex items-center gap-2 text-xs uppercase"
+                  >
+                      {processing && !['txt', 'ndjson'].includes(outputFormat) ? <Loader2 className="animate-spin w-3 h-3"/> : <Download className="w-3 h-3"/>} Export
+                  </button>
+                </div>
+                {exportFormat === 'custom' && (
+                  <label className="flex flex-col gap-1 text-[10px] text-slate-500 uppercase tracking-wider">
+                    Field Mapping ({'{{field}}'}, {'{{document.title}}'}, {'{{metadata}}'})
+                    <textarea
+                      value={exportTemplate}
+                      onChange={(e) => setExportTemplate(e.target.value)}
+                      disabled={processing}
+                      rows={6}
+                      spellCheck={false}
+                      className="bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs font-mono normal-case tracking-normal text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                    />
+                  </label>
+                )}
+
+                {processing && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <button onClick={togglePause} className="px-4 py-2 bg-slate-900 border border-slate-800 hover:border-yellow-500 rounded text-slate-400 hover:text-yellow-500 transition-all flex items-center justify-center gap-2 text-xs uppercase">
+                      {paused ? <Play className="w-3 h-3"/> : <Pause className="w-3 h-3"/>} {paused ? 'Resume' : 'Pause'}
+                    </button>
+                    <button onClick={cancelPipeline} className="px-4 py-2 bg-slate-900 border border-slate-800 hover:border-red-500 rounded text-slate-400 hover:text-red-500 transition-all flex items-center justify-center gap-2 text-xs uppercase">
+                      <XCircle className="w-3 h-3"/> Cancel
+                    </button>
+                  </div>
+                )}
+
+                <div className="flex justify-between items-center gap-2">
+                  <label className={`relative px-4 py-2 bg-slate-900 border rounded transition-all flex items-center gap-2 text-xs uppercase truncate ${previousManifest ? 'border-yellow-700 text-yellow-500' : 'border-slate-800 text-slate-400 hover:border-yellow-500 hover:text-yellow-500'} ${processing ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+                    <input type="file" accept=".json,application/json" onChange={handleManifest} disabled={processing} className="hidden"/>
+                    <Database className="w-3 h-3 shrink-0"/>
+                    <span className="truncate">{previousManifest ? `Incremental (${previousManifest.sources.length} sources)` : 'Load Previous Manifest'}</span>
+                  </label>
+                  <button onClick={() => setFiles(prev => resumeJob ? prev.filter(f => f.id.startsWith(resumeJob.id)) : [])} disabled={processing} className="px-4 py-2 bg-slate-900 border border-slate-800 hover:border-red-500 rounded text-slate-400 hover:text-red-500 transition-all flex items-center gap-2 text-xs uppercase"><Trash2 className="w-3 h-3"/> Clear</button>
                 </div>
             </div>
 
+            {resumeJob && !processing && (
+                <div className="shrink-0 bg-yellow-950/30 rounded border border-yellow-800 p-3 flex flex-col gap-2 text-xs">
+                    <div className="text-yellow-500 font-mono uppercase">Interrupted Run · {EXPORTERS[resumeJob.format]?.label}</div>
+                    <div className="text-slate-400">
+                        {resumeJob.committed}/{resumeJob.files.length} files checkpointed on {new Date(resumeJob.updatedAt).toLocaleString()}.
+                        {' '}{files.filter(f => f.status === 'missing').length > 0 ? `Drop the remaining ${files.filter(f => f.status === 'missing').length} file(s) above (matched by name and size).` : 'All files attached.'}
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                        <button onClick={() => runPipeline(resumeJob.format, resumeJob)} disabled={files.some(f => f.status === 'missing')} className="px-4 py-2 bg-yellow-500 hover:bg-yellow-400 disabled:opacity-50 rounded text-black font-bold transition-all flex items-center justify-center gap-2 uppercase">
+                            <RotateCcw className="w-3 h-3"/> Continue
+                        </button>
+                        <button onClick={discardResume} className="px-4 py-2 bg-slate-900 border border-slate-800 hover:border-red-500 rounded text-slate-400 hover:text-red-500 transition-all flex items-center justify-center gap-2 uppercase">
+                            <Trash2 className="w-3 h-3"/> Discard
+                        </button>
+                    </div>
+                </div>
+            )}
+
             <div className="flex-1 bg-slate-900/50 rounded border border-slate-800 overflow-hidden flex flex-col">
                 <div className="p-2 border-b border-slate-800 bg-slate-900 text-xs font-mono text-slate-500 flex justify-between">
-                    <span>QUEUE ({files.length})</span>
-                    <span>{files.filter(f => f.status === 'done').length} DONE</span>
+                    <div className="flex gap-3">
+                        <button onClick={() => setSidebarTab('queue')} className={sidebarTab === 'queue' ? 'text-slate-200' : 'hover:text-slate-300'}>QUEUE ({files.length})</button>
+                        <button onClick={() => setSidebarTab('history')} className={`flex items-center gap-1 ${sidebarTab === 'history' ? 'text-slate-200' : 'hover:text-slate-300'}`}><History className="w-3 h-3"/> HISTORY ({jobs.length})</button>
+                    </div>
+                    <span>{processing ? `${progress.current}/${progress.total} · ` : ''}{files.filter(f => f.status === 'done').length} DONE</span>
                 </div>
+                {sidebarTab === 'queue' ? (
                 <div className="flex-1 overflow-y-auto p-2 space-y-1">
                     {files.map(f => (
                         <div key={f.id} className="flex items-center justify-between p-2 rounded bg-slate-900 border border-slate-800/50 text-xs">
-                            <span className="truncate max-w-[200px] text-slate-300">{f.file.name}</span>
+                            <span className={`truncate max-w-[200px] ${f.status === 'missing' ? 'text-slate-600' : 'text-slate-300'}`}>{f.file.name}</span>
+                            {f.quality && (
+                                <span
+                                  title={`${f.quality.pages !== undefined ? `${f.quality.pages} pages · ${f.quality.chars_per_page} chars/page · ${countPages(f.quality.empty_pages)} empty · ${countPages(f.quality.failed_pages)} failed · ` : ''}${f.quality.ocr_pages !== undefined ? `${countPages(f.quality.ocr_pages)} OCR (confidence ${f.quality.ocr_confidence}) · ` : ''}${(f.quality.garbled_ratio * 100).toFixed(1)}% garbled · ${f.quality.chunks} chunks`}
+                                  className="ml-auto mr-2 flex items-center gap-1 shrink-0 text-[10px] font-mono"
+                                >
+                                    {f.quality.needs_ocr && <span className="px-1 rounded bg-red-900/60 text-red-300">NEEDS OCR</span>}
+                                    {f.quality.ocr_pages !== undefined && <span className="px-1 rounded bg-sky-900/60 text-sky-300">OCR</span>}
+                                    {f.quality.language && <span className="text-slate-500 uppercase">{f.quality.language}</span>}
+                                    {f.quality.chars_per_page !== undefined && <span className="text-slate-600">{f.quality.chars_per_page} c/p</span>}
+                                </span>
+                            )}
                             {f.status === 'pending' && <span className="w-2 h-2 rounded-full bg-slate-600"/>}
+                            {f.status === 'missing' && <span title="Re-add this file to continue" className="w-2 h-2 rounded-full border border-yellow-600"/>}
                             {f.status === 'processing' && <Loader2 className="w-3 h-3 text-yellow-500 animate-spin"/>}
                             {f.status === 'done' && <CheckCircle className="w-3 h-3 text-green-500"/>}
+                            {f.status === 'skipped' && <CheckCircle className="w-3 h-3 text-slate-500"/>}
                             {f.status === 'error' && <AlertCircle className="w-3 h-3 text-red-500"/>}
                         </div>
                     ))}
                 </div>
+                ) : (
+                <div className="flex-1 overflow-y-auto p-2 space-y-1">
+                    {jobs.map(job => (
+                        <div key={job.id} className="p-2 rounded bg-slate-900 border border-slate-800/50 text-xs flex items-center justify-between gap-2">
+                            <div className="min-w-0">
+                                <div className="text-slate-300 truncate">{new Date(job.startedAt).toLocaleString()} · {EXPORTERS[job.format]?.label || job.format}</div>
+                                <div className="text-[10px] font-mono text-slate-500">
+                                    <span className={job.status === 'finished' ? 'text-green-600' : job.status === 'running' ? 'text-yellow-600' : 'text-red-600'}>{job.status.toUpperCase()}</span>
+                                    {' · '}{job.files.length} files{job.manifest ? ` · ${job.manifest.total_chunks_approx.toLocaleString()} chunks · ${job.manifest.total_files} bundles` : ` · ${job.committed} checkpointed`}
+                                </div>
+                            </div>
+                            {job.manifest && (
+                                <div className="flex gap-1 shrink-0">
+                                    <button title="Download dataset_summary.json" onClick={() => downloadJobManifest(job)} className="p-1 border border-slate-800 rounded text-slate-500 hover:text-green-500 hover:border-green-500 transition-all"><Download className="w-3 h-3"/></button>
+                                    <button title="Use as previous manifest (incremental run)" onClick={() => loadJobManifest(job)} disabled={processing} className="p-1 border border-slate-800 rounded text-slate-500 hover:text-yellow-500 hover:border-yellow-500 disabled:opacity-50 transition-all"><Database className="w-3 h-3"/></button>
+                                    <button title="Delete from history" onClick={() => deleteJob(job)} className="p-1 border border-slate-800 rounded text-slate-500 hover:text-red-500 hover:border-red-500 transition-all"><Trash2 className="w-3 h-3"/></button>
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                    {jobs.length === 0 && <div className="p-2 text-xs text-slate-600 font-mono">No runs recorded yet.</div>}
+                </div>
+                )}
             </div>
 
         </div>
@@ -438,7 +1182,7 @@ export default function Ragnator() {
                 </div>
                 <div className="flex-1 bg-slate-950/80 border border-slate-800 rounded p-3 overflow-y-auto font-mono text-xs space-y-1 scrollbar-none">
                     {logs.map((l, i) => (
-                        <div key={i} className={`${l.type === 'ERROR' ? 'text-red-500' : l.type === 'SUCCESS' ? 'text-green-500' : l.type === 'START' || l.type === 'COMPLETE' ? 'text-purple-400 font-bold' : 'text-slate-400'}`}>
+                        <div key={i} className={`${l.type === 'ERROR' ? 'text-red-500' : l.type === 'WARN' ? 'text-yellow-500' : l.type === 'SUCCESS' ? 'text-green-500' : l.type === 'START' || l.type === 'COMPLETE' ? 'text-purple-400 font-bold' : 'text-slate-400'}`}>
                             <span className="opacity-30 mr-2">{l.time}</span>
                             <span className="mr-2">[{l.type}]</span>
                             {l.message}
@@ -448,44 +1192,118 @@ export default function Ragnator() {
                 </div>
             </div>
 
-            {/* Output */}
-            <div className="flex-1 p-4 bg-slate-900/30 flex flex-col relative z-10">
-                <div className="flex justify-between items-center mb-4">
-                    <div>
-                        <h2 className="text-white font-bold">Generated Artifacts</h2>
-                        <p className="text-xs text-slate-500">
-                          {bundles.length > 0 ? `Ready for RAG ingestion (${outputFormat.toUpperCase()})` : 'Waiting for input...'}
-                        </p>
+            <div className="flex-1 flex overflow-hidden relative z-10">
+                {/* Output */}
+                <div className="flex-1 p-4 bg-slate-900/30 flex flex-col min-w-0">
+                    <div className="flex justify-between items-center mb-4">
+                        <div>
+                            <h2 className="text-white font-bold">Generated Artifacts</h2>
+                            <p className="text-xs text-slate-500">
+                              {bundles.length === 0 ? 'Waiting for input...' : savedTo ? `Written to ${savedTo} (${EXPORTERS[outputFormat].label})` : `Ready for RAG ingestion (${EXPORTERS[outputFormat].label})`}
+                            </p>
+                        </div>
+                        <button onClick={saveDataset} disabled={bundles.length === 0} className="bg-green-600 hover:bg-green-500 disabled:opacity-50 disabled:cursor-not-allowed text-black font-bold py-2 px-4 rounded text-sm flex items-center gap-2 transition-all">
+                            <Download className="w-4 h-4"/> {savedTo ? 'Save Manifest' : `Download All (${bundles.length})`}
+                        </button>
                     </div>
-                    <button onClick={downloadAll} disabled={bundles.length === 0} className="bg-green-600 hover:bg-green-500 disabled:opacity-50 disabled:cursor-not-allowed text-black font-bold py-2 px-4 rounded text-sm flex items-center gap-2 transition-all">
-                        <Download className="w-4 h-4"/> Download All ({bundles.length})
-                    </button>
-                </div>
 
-                <div className="grid grid-cols-2 lg:grid-cols-3 gap-3 overflow-y-auto flex-1 content-start">
-                    {bundles.map((b, i) => (
-                        <div key={i} className={`bg-slate-900 border ${outputFormat === 'ndjson' ? 'border-yellow-900/50' : 'border-slate-700'} p-3 rounded flex flex-col gap-2 hover:border-green-500/50 transition-colors group`}>
-                            <div className="flex items-center gap-2 text-slate-300 font-mono text-xs truncate">
-                                {outputFormat === 'ndjson' ? <FileJson className="w-3 h-3 text-yellow-500" /> : <Package className="w-3 h-3 text-red-500" />}
-                                <span className="truncate">{b.name}</span>
-                            </div>
-                            <div className="flex justify-between items-end">
-                                <div className="text-[10px] text-slate-500 uppercase tracking-widest">
-                                    {(new Blob([b.content]).size / 1024 / 1024).toFixed(2)} MB
+                    <div className="grid grid-cols-2 lg:grid-cols-3 gap-3 overflow-y-auto flex-1 content-start">
+                        {bundles.map((b, i) => (
+                            <div key={i} className={`bg-slate-900 border ${outputFormat === 'ndjson' ? 'border-yellow-900/50' : 'border-slate-700'} p-3 rounded flex flex-col gap-2 hover:border-green-500/50 transition-colors group`}>
+                                <div className="flex items-center gap-2 text-slate-300 font-mono text-xs truncate">
+                                    {outputFormat === 'txt' ? <Package className="w-3 h-3 text-red-500" /> : <FileJson className="w-3 h-3 text-yellow-500" />}
+                                    <span className="truncate">{b.name}</span>
                                 </div>
-                                {outputFormat === 'ndjson' && b.chunks && (
-                                    <div className="text-[10px] text-yellow-600 font-mono">
-                                        {b.chunks} chunks
+                                <div className="flex justify-between items-end">
+                                    <div className="text-[10px] text-slate-500 uppercase tracking-widest">
+                                        {(b.size / 1024 / 1024).toFixed(2)} MB
                                     </div>
-                                )}
+                                    {outputFormat !== 'txt' && b.chunks > 0 && (
+                                        <div className="text-[10px] text-yellow-600 font-mono">
+                                            {b.chunks} chunks · {b.tokens.toLocaleString()} tok
+                                        </div>
+                                    )}
+                                </div>
+                            </div>
+                        ))}
+                        {bundles.length === 0 && !processing && (
+                            <div className="col-span-full h-20 flex items-center justify-center text-slate-600 text-xs font-mono border border-dashed border-slate-800 rounded">
+                                NO ARTIFACTS GENERATED YET
                             </div>
+                        )}
+                    </div>
+                </div>
+
+                {/* Retrieval Test Bench */}
+                <div className="w-2/5 border-l border-slate-800 p-4 bg-slate-900/30 flex flex-col gap-3 min-w-0">
+                    <div className="flex justify-between items-center">
+                        <div>
+                            <h2 className="text-white font-bold">Retrieval Test</h2>
+                            <p className="text-xs text-slate-500">{indexedChunks > 0 ? `BM25 over ${indexedChunks.toLocaleString()} chunks` : 'Index builds with the next run'}</p>
                         </div>
-                    ))}
-                    {bundles.length === 0 && !processing && (
-                        <div className="col-span-full h-20 flex items-center justify-center text-slate-600 text-xs font-mono border border-dashed border-slate-800 rounded">
-                            NO ARTIFACTS GENERATED YET
+                        <label title="Load retrieval_tests.json" className={`p-1.5 border border-slate-800 rounded text-slate-500 hover:text-yellow-500 hover:border-yellow-500 transition-all ${processing ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}>
+                            <input type="file" accept=".json,application/json" onChange={handleRetrievalTests} disabled={processing} className="hidden"/>
+                            <Upload className="w-3 h-3"/>
+                        </label>
+                    </div>
+
+                    <form onSubmit={runSearch} className="flex gap-2">
+                        <input
+                          value={searchQuery}
+                          onChange={(e) => setSearchQuery(e.target.value)}
+                          placeholder="Ask what your users will ask..."
+                          disabled={indexedChunks === 0}
+                          className="flex-1 min-w-0 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none disabled:opacity-50"
+                        />
+                        <button type="submit" disabled={indexedChunks === 0} className="px-2 border border-slate-800 rounded text-slate-400 hover:text-red-500 hover:border-red-500 disabled:opacity-50 transition-all"><Search className="w-3 h-3"/></button>
+                    </form>
+                    <div className="flex gap-2">
+                        <input
+                          value={expectedSources}
+                          onChange={(e) => setExpectedSources(e.target.value)}
+                          placeholder="Expected source(s), comma-separated"
+                          className="flex-1 min-w-0 bg-slate-950 border border-slate-800 rounded px-2 py-1 text-xs text-slate-300 focus:border-red-500 outline-none"
+                        />
+                        <button onClick={saveRetrievalTest} title="Save as test query" className="px-2 border border-slate-800 rounded text-slate-400 hover:text-yellow-500 hover:border-yellow-500 transition-all"><Plus className="w-3 h-3"/></button>
+                    </div>
+
+                    <div className="flex-1 overflow-y-auto space-y-2">
+                        {searchResults.map(r => (
+                            <div key={r.id} className="bg-slate-900 border border-slate-800 rounded p-2 text-xs">
+                                <div className="flex justify-between gap-2 font-mono text-[10px] text-slate-500">
+                                    <span className="truncate"><span className="text-yellow-600">#{r.rank}</span> {r.source}{r.position && ` · ${r.position}`}</span>
+                                    <span className="shrink-0">{r.score.toFixed(2)}</span>
+                                </div>
+                                <p className="text-slate-400 mt-1 line-clamp-3">{r.preview}</p>
+                            </div>
+                        ))}
+                        {searchResults.length === 0 && searchQuery && indexedChunks > 0 && (
+                            <div className="text-slate-600 text-xs font-mono">NO MATCHES</div>
+                        )}
+                    </div>
+
+                    <div className="shrink-0 border-t border-slate-800 pt-2 flex flex-col gap-1 max-h-40 overflow-y-auto">
+                        <div className="flex justify-between items-center text-xs font-mono text-slate-500">
+                            <span>TEST QUERIES ({retrievalTests.length})</span>
+                            <button onClick={runRetrievalChecks} disabled={indexedChunks === 0 || retrievalTests.length === 0} className="flex items-center gap-1 hover:text-green-500 disabled:opacity-50 transition-all uppercase"><FlaskConical className="w-3 h-3"/> Run</button>
                         </div>
-                    )}
+                        {retrievalTests.map((t, i) => {
+                            const result = testResults?.find(r => r.query === t.query);
+                            return (
+                                <div key={t.query} className="flex items-center justify-between gap-2 text-[11px]">
+                                    <span className="truncate text-slate-400" title={`Expected: ${t.expected.join(', ')}`}>{t.query}</span>
+                                    <div className="flex items-center gap-2 shrink-0">
+                                        {result && (result.skipped
+                                          ? <span className="text-slate-500 font-mono" title={`Not indexed in this incremental run: ${result.not_indexed.join(', ')}`}>SKIP</span>
+                                          : result.passed
+                                            ? <span className="text-green-500 font-mono">#{result.rank}</span>
+                                            : <AlertCircle className="w-3 h-3 text-red-500"/>)}
+                                        <button onClick={() => setRetrievalTests(prev => prev.filter((_, k) => k !== i))} className="text-slate-600 hover:text-red-500"><Trash2 className="w-3 h-3"/></button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
                 </div>
             </div>
 
@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+/**
+ * RAGNATOR CLI
+ * Headless batch ingestion with the same engine, bundles and manifest as the browser app.
+ *
+ *   npm install                  (jsdom, tesseract.js and @napi-rs/canvas are optional: EPUB, Word, HTML and --ocr)
+ *   npx ragnator ingest ./library --format ndjson --out ./dataset
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  ragnatorEngine, ENCODINGS, CHUNKERS, PDF_EXTRACTION_MODES, EXPORTERS, DEDUP_MODES, REDACTION_DETECTORS, REDACTION_ACTIONS,
+  sameSettings, sourceMatcher, DatasetBuilder, ZipWriter, datasetRoot, datasetZipName, qualityWarnings, parseRedactionRules, prepareRedaction, retrievalVerdict
+} from '../ragnator-core.mjs';
+
+const USAGE = `Usage: ragnator ingest <dir> --out <dir> [options]
+
+Options:
+  --format <id>          ${Object.keys(EXPORTERS).join(' | ')} (default: ndjson)
+  --template <file>      field mapping JSON for --format custom
+  --chunker <id>         ${Object.keys(CHUNKERS).join(' | ')} (default: fixed)
+  --param <key=value>    chunker parameter, repeatable (e.g. --param size=1200)
+  --encoding <id>        ${Object.keys(ENCODINGS).join(' | ')} (default: estimate)
+  --encodings-dir <dir>  where <encoding>.tiktoken rank files live (default: ./encodings)
+  --pdf <mode>           ${Object.keys(PDF_EXTRACTION_MODES).join(' | ')} (default: layout)
+  --keep-boilerplate     do not strip repeated PDF headers and footers
+  --ocr <langs>          OCR PDF pages without a text layer, e.g. eng or eng+por
+  --tessdata-dir <dir>   where <lang>.traineddata files live (default: ./tessdata)
+  --dedup <mode>         ${Object.keys(DEDUP_MODES).join(' | ')} (default: tag)
+  --redact <list>        detectors to redact, comma-separated, each optionally =${Object.keys(REDACTION_ACTIONS).join('|')} (default: mask):
+                         ${Object.keys(REDACTION_DETECTORS).join(', ')}, or all (e.g. --redact all,email=hash)
+  --redact-rules <file>  extra regex rules, one per line: <id> <action> <pattern>
+  --redact-key <file>    HMAC key for the hash action; the same key gives the same pseudonyms across runs
+                         (default: a random key for this run only)
+  --previous <file>      dataset_summary.json of the last export: skip unchanged files, write a diff
+  --tests <file>         retrieval_tests.json to run against the BM25 index
+  --zip                  write the same ZIP as the app's download instead of a folder
+
+Exits with 1 when a file fails to process or a retrieval test misses.`;
+
+const FLAGS = new Set(['keep-boilerplate', 'zip', 'help']);
+
+const parseArgs = (argv) => {
+  const args = { _: [], param: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) { args._.push(arg); continue; }
+    const key = arg.slice(2);
+    if (FLAGS.has(key)) { args[key] = true; continue; }
+    const value = argv[++i];
+    if (value === undefined) throw new Error(`Missing value for --${key}`);
+    if (key === 'param') args.param.push(value);
+    else args[key] = value;
+  }
+  return args;
+};
+
+const log = (type, message) => console.error(`[${type}] ${message}`);
+
+// "all,email=hash" -> [{ id, action }] in detector priority order
+const parseRedactList = (list) => {
+  const actions = {};
+  for (const item of list.split(',').map(x => x.trim()).filter(Boolean)) {
+    const [id, action = 'mask'] = item.split('=');
+    const ids = id === 'all' ? Object.keys(REDACTION_DETECTORS) : [id];
+    for (const key of ids) actions[key] = action;
+  }
+  const unknown = Object.keys(actions).filter(id => !REDACTION_DETECTORS[id]);
+  if (unknown.length > 0) throw new Error(`Unknown redaction detector "${unknown[0]}". Expected one of: ${Object.keys(REDACTION_DETECTORS).join(', ')}, all.`);
+  return Object.keys(REDACTION_DETECTORS).filter(id => actions[id]).map(id => ({ id, action: actions[id] }));
+};
+
+const importOptional = async (name) => {
+  try {
+    return await import(name);
+  } catch {
+    return null;
+  }
+};
+
+// Local copies of what the app loads from the CDN
+const loadLibraries = async () => {
+  const pdfjs = await importOptional('pdfjs-dist/legacy/build/pdf.js');
+  const worker = await importOptional('pdfjs-dist/legacy/build/pdf.worker.js');
+  const jszip = await importOptional('jszip');
+  if (!pdfjs || !worker || !jszip) throw new Error('Missing dependencies: run npm install in the Ragnator folder');
+  // pdf.js finds its parser here and runs it in-thread, as in the browser workers
+  globalThis.pdfjsWorker = worker.default || worker;
+  const jsdom = await importOptional('jsdom');
+  const tesseract = await importOptional('tesseract.js');
+  const canvas = await importOptional('@napi-rs/canvas') || await importOptional('canvas');
+  return {
+    pdfjsLib: pdfjs.default || pdfjs,
+    JSZip: jszip.default || jszip,
+    DOMParser: jsdom ? new jsdom.JSDOM('').window.DOMParser : undefined,
+    Tesseract: tesseract ? tesseract.default || tesseract : undefined,
+    createCanvas: canvas ? canvas.createCanvas : undefined
+  };
+};
+
+const walk = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const paths = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) paths.push(...await walk(full));
+    else if (entry.isFile()) paths.push(full);
+  }
+  return paths;
+};
+
+// The subset of the browser File API the extractors use. Every file keeps its bare name as `source`,
+// exactly like an upload, so chunk IDs match the app's; the path under <dir> is recorded as `path`.
+const toFile = (data, relativePath) => ({
+  name: path.posix.basename(relativePath),
+  webkitRelativePath: relativePath,
+  size: data.length,
+  type: '',
+  arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength),
+  text: async () => new TextDecoder().decode(data)
+});
+
+// Bundles are written as they seal, like the app's folder output
+const folderSink = (dir) => ({
+  label: dir,
+  write: async (file, content) => {
+    const target = path.join(dir, file);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+  }
+});
+
+const zipFileSink = async (target, root) => {
+  const handle = await fs.open(target, 'w');
+  const zip = new ZipWriter(bytes => handle.write(bytes));
+  return {
+    label: target,
+    write: (file, content) => zip.add(`${root}/${file}`, content),
+    close: async () => {
+      await zip.close();
+      await handle.close();
+    }
+  };
+};
+
+const ingest = async (args) => {
+  const [inputDir] = args._;
+  if (!inputDir || !args.out) throw new Error(USAGE);
+  const format = args.format || 'ndjson';
+  if (!EXPORTERS[format]) throw new Error(`Unknown format "${format}". Expected one of: ${Object.keys(EXPORTERS).join(', ')}.`);
+  const dedup = args.dedup || 'tag';
+  if (!DEDUP_MODES[dedup]) throw new Error(`Unknown dedup mode "${dedup}". Expected one of: ${Object.keys(DEDUP_MODES).join(', ')}.`);
+  const pdfMode = args.pdf || 'layout';
+  if (!PDF_EXTRACTION_MODES[pdfMode]) throw new Error(`Unknown PDF mode "${pdfMode}".`);
+
+  const libraries = await loadLibraries();
+  const engine = ragnatorEngine(libraries);
+
+  let ocr = null;
+  if (args.ocr) {
+    if (!libraries.Tesseract || !libraries.createCanvas) throw new Error('OCR needs the optional tesseract.js and @napi-rs/canvas (or canvas) packages: npm install tesseract.js @napi-rs/canvas');
+    const langPath = path.resolve(args['tessdata-dir'] || 'tessdata');
+    for (const lang of args.ocr.split('+')) {
+      await fs.access(path.join(langPath, `${lang}.traineddata`)).catch(() => { throw new Error(`${path.join(langPath, lang)}.traineddata not found (see --tessdata-dir)`); });
+    }
+    engine.configureOcr({ langPath, cacheMethod: 'none' });
+    ocr = { languages: args.ocr };
+  }
+
+  const strategy = args.chunker || 'fixed';
+  if (!engine.CHUNKERS[strategy]) throw new Error(`Unknown chunker "${strategy}". Expected one of: ${Object.keys(engine.CHUNKERS).join(', ')}.`);
+  const params = { ...engine.CHUNKERS[strategy].defaults };
+  for (const pair of args.param) {
+    const [key, value] = pair.split('=');
+    if (!(key in params)) throw new Error(`Unknown parameter "${key}" for chunker ${strategy}. Expected one of: ${Object.keys(params).join(', ')}.`);
+    params[key] = value;
+  }
+  const chunking = engine.normalizeChunking({ strategy, params });
+  for (const pair of args.param) {
+    const key = pair.split('=')[0];
+    if (String(chunking.params[key]) !== String(params[key]).trim()) log('WARN', `--param ${pair} adjusted to ${key}=${chunking.params[key]}`);
+  }
+
+  const encoding = args.encoding || 'estimate';
+  if (!engine.ENCODINGS[encoding]) throw new Error(`Unknown encoding "${encoding}".`);
+  let tokenizer = null;
+  if (encoding !== 'estimate') {
+    const rankFile = path.join(args['encodings-dir'] || 'encodings', `${encoding}.tiktoken`);
+    const source = await fs.readFile(rankFile, 'utf8').catch(() => { throw new Error(`${rankFile} not found (see --encodings-dir)`); });
+    tokenizer = engine.registerTokenizer(encoding, source);
+  }
+  const countTokens = tokenizer ? (text) => tokenizer.count(text) : engine.estimateTokens;
+
+  const exportOptions = format === 'custom' && args.template
+    ? { template: JSON.parse(await fs.readFile(args.template, 'utf8')) }
+    : {};
+  const previousManifest = args.previous ? JSON.parse(await fs.readFile(args.previous, 'utf8')) : null;
+  if (previousManifest && !Array.isArray(previousManifest.sources)) throw new Error('Previous manifest has no per-source records');
+  const tests = args.tests ? JSON.parse(await fs.readFile(args.tests, 'utf8')).tests || [] : [];
+  const redactionRules = [
+    ...(args.redact ? parseRedactList(args.redact) : []),
+    ...(args['redact-rules'] ? parseRedactionRules(await fs.readFile(args['redact-rules'], 'utf8')) : [])
+  ];
+  const suppliedKey = args['redact-key'] ? (await fs.readFile(args['redact-key'], 'utf8')).trim() : '';
+  if (args['redact-key'] && !suppliedKey) throw new Error(`${args['redact-key']} is empty`);
+  const { redaction, key: redactionKey } = prepareRedaction(redactionRules, suppliedKey);
+  if (redaction?.hash_key === 'per-run') log('INFO', 'Hashing with a random key for this run: pseudonyms will not match other runs (see --redact-key).');
+
+  const settings = {
+    chunking,
+    tokenizer: { encoding: tokenizer ? tokenizer.name : 'estimate', exact: !!tokenizer },
+    extraction: { pdf: pdfMode, strip_boilerplate: !args['keep-boilerplate'], ...(ocr ? { ocr } : {}) },
+    ...(redaction ? { redaction } : {})
+  };
+  await fs.mkdir(args.out, { recursive: true });
+  const sink = args.zip
+    ? await zipFileSink(path.join(args.out, datasetZipName(format)), datasetRoot(new Date().toISOString()))
+    : folderSink(args.out);
+  const dataset = new DatasetBuilder({ format, exportOptions, deduplication: dedup, settings, previousManifest, sink, onLog: log });
+  const sameChunking = sameSettings(previousManifest, settings, dedup);
+  if (previousManifest && !sameChunking) {
+    log('INFO', 'Extraction, redaction, chunking, tokenizer or deduplication settings differ from the previous manifest: every file will be re-chunked.');
+  } else if (previousManifest && dedup !== 'off') {
+    log('INFO', 'Deduplication compares every file with every other: all files are re-chunked so the dataset matches a full run. Use --dedup off to skip unchanged files.');
+  }
+  const findPrevious = sourceMatcher(previousManifest?.sources);
+  const jobSettings = { chunking, extraction: settings.extraction, redaction: redaction && { ...redaction, key: redactionKey }, skipUnchanged: sameChunking && dedup === 'off' };
+
+  const root = path.resolve(inputDir);
+  const paths = (await walk(root)).map(full => path.relative(root, full).split(path.sep).join('/')).sort();
+  const queue = paths.filter(name => engine.findExtractor({ name }));
+  if (queue.length < paths.length) log('INFO', `Ignored ${paths.length - queue.length} unsupported file(s).`);
+  log('START', `Ingesting ${queue.length} file(s) (Mode: ${EXPORTERS[format].label}, Chunker: ${engine.CHUNKERS[strategy].label}, Tokens: ${settings.tokenizer.encoding}, PDF: ${pdfMode}${ocr ? `, OCR: ${ocr.languages}` : ''}${redaction ? `, Redaction: ${redaction.rules.length} rule(s)` : ''})...`);
+
+  let failures = 0;
+  for (const name of queue) {
+    const file = toFile(await fs.readFile(path.join(root, name)), name);
+    const previous = findPrevious({ source: file.name, ...engine.sourcePath(file) });
+    try {
+      if (engine.findExtractor(file).dom && !libraries.DOMParser) {
+        throw new Error('EPUB, Word and HTML need a DOMParser: npm install jsdom');
+      }
+      const chunks = [];
+      const record = await engine.processFile(file, {
+        settings: jobSettings,
+        previous,
+        countTokens,
+        onChunk: (chunk) => chunks.push(chunk),
+        checkpoint: async () => {}
+      });
+      dataset.addSource(record, chunks);
+      await dataset.flush();
+      if (record.status === 'unchanged') { log('INFO', `Unchanged, skipped: ${name}`); continue; }
+      if (record.removed_lines > 0) log('INFO', `${name}: stripped ${record.removed_lines} repeated header/footer lines.`);
+      if (record.quality?.ocr_pages?.length > 0) log('INFO', `${name}: OCR read ${record.quality.ocr_pages.length} page(s), mean confidence ${record.quality.ocr_confidence}.`);
+      const redacted = Object.entries(record.redactions || {}).filter(([, count]) => count > 0);
+      if (redacted.length > 0) log('INFO', `${name}: redacted ${redacted.map(([id, count]) => `${count} ${id}`).join(', ')}.`);
+      qualityWarnings(name, record.quality).forEach(w => log('WARN', w));
+      log('SUCCESS', `Finished: ${name} (${record.chunks} chunks)`);
+    } catch (err) {
+      failures++;
+      dataset.addError(file, previous);
+      log('ERROR', `${name}: ${err.message}`);
+    }
+  }
+  // OCR workers would keep Node running
+  await engine.releaseOcr();
+  dataset.finish();
+  await dataset.flush();
+
+  const files = dataset.files({ createdAt: new Date().toISOString(), tests });
+  for (const f of files) await sink.write(f.path, f.content);
+  if (sink.close) await sink.close();
+  log('COMPLETE', `Wrote ${dataset.bundles.length} bundle(s) and dataset_summary.json to ${sink.label}`);
+
+  let missed = 0;
+  if (args.tests) {
+    const report = files.find(f => f.path === 'retrieval_tests.json');
+    const verdict = retrievalVerdict(report ? JSON.parse(report.content).tests : []);
+    missed = verdict.missed;
+    log(verdict.type, verdict.message);
+  }
+  return failures > 0 || missed > 0 ? 1 : 0;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, ...rest] = args._;
+  if (args.help || !command) { console.log(USAGE); return 0; }
+  if (command !== 'ingest') throw new Error(`Unknown command "${command}".\n\n${USAGE}`);
+  return ingest({ ...args, _: rest });
+};
+
+main().then(code => { process.exitCode = code; }, err => {
+  log('ERROR', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,2984 @@
+/**
+ * RAGNATOR CORE
+ * Extraction, chunking, bundling and manifest logic without any UI, shared by the React app
+ * (RAGNATOR_v3_NDJSON.jsx) and the headless CLI (bin/ragnator.mjs).
+ *
+ * Libraries are never imported here: the browser passes window (pdfjsLib and JSZip from the CDN),
+ * Node passes local pdfjs-dist, JSZip and an optional DOMParser (jsdom) to ragnatorEngine(scope).
+ */
+
+export const MAX_BUNDLE_SIZE = 38.5 * 1024 * 1024; // 38.5MB Strict Limit
+
+// --- ENGINE ---
+// Everything that turns a file into chunks lives in this self-contained factory so the very same
+// code can be stringified into Web Workers (WORKER_SOURCE in the app). It may only reach library globals
+// through `scope` (pdfjsLib, JSZip, DOMParser or a digestMarkup stand-in) and otherwise sticks to standard Web APIs.
+export const ragnatorEngine = (scope) => {
+  // Stable, synchronous 2x53-bit string hash (cyrb53) used for chunk IDs
+  const hashString = (str) => {
+    const lane = (seed) => {
+      let h1 = 0xdeadbeef ^ seed, h2 = 0x41c6ce57 ^ seed;
+      for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+      }
+      h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+      h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+      return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+    };
+    return lane(0) + lane(1);
+  };
+
+  // Same source + same position + same content => same ID on every run. `source` is the file's relative
+  // path when it has one, so same-named files in different folders never share IDs.
+  const chunkId = (source, span, text) => {
+    return `chunk_${hashString(`${source}\u0000${span.char_start}:${span.char_end}\u0000${text}`).slice(0, 20)}`;
+  };
+
+  const sha256Hex = async (buffer) => {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  };
+
+  // --- TOKENIZER ---
+  // Byte-level BPE compatible with OpenAI's tiktoken. Rank files (`<name>.tiktoken`) are served
+  // next to the app from ENCODINGS_BASE_URL, or picked from disk, so nothing leaves the machine.
+
+  const ENCODINGS_BASE_URL = './encodings/';
+
+  const estimateTokens = (text) => Math.round(text.length / 4); // Rough token estimation
+
+  // Pre-tokenization patterns from tiktoken, with (?i:'s|...) spelled out for JS
+  const ENCODINGS = {
+    estimate: { label: 'Estimate (chars / 4)' },
+    cl100k_base: {
+      label: 'cl100k_base (GPT-4, text-embedding-3)',
+      pattern: /'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD]|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+    },
+    o200k_base: {
+      label: 'o200k_base (GPT-4o)',
+      pattern: /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+    }
+  };
+
+  class BpeTokenizer {
+    // `ranks` maps byte strings (one char per byte) to merge ranks
+    constructor(name, ranks, pattern) {
+      this.name = name;
+      this.ranks = ranks;
+      this.pattern = pattern;
+      this.encoder = new TextEncoder();
+      this.pieceCache = new Map();
+    }
+
+    static fromTiktoken(name, source) {
+      const ranks = new Map();
+      for (const line of source.split('\n')) {
+        if (!line) continue;
+        const [token, rank] = line.split(' ');
+        ranks.set(atob(token), parseInt(rank, 10));
+      }
+      if (ranks.size === 0) throw new Error(`Empty rank file for ${name}`);
+      return new BpeTokenizer(name, ranks, ENCODINGS[name].pattern);
+    }
+
+    count(text) {
+      let total = 0;
+      for (const [piece] of text.matchAll(this.pattern)) {
+        let n = this.pieceCache.get(piece);
+        if (n === undefined) {
+          n = this._mergeCount(piece);
+          if (this.pieceCache.size > 50000) this.pieceCache.clear();
+          this.pieceCache.set(piece, n);
+        }
+        total += n;
+      }
+      return total;
+    }
+
+    // Greedy lowest-rank pair merging, as in tiktoken's _byte_pair_merge
+    _mergeCount(piece) {
+      const bytes = String.fromCharCode(...this.encoder.encode(piece));
+      if (this.ranks.has(bytes)) return 1;
+
+      const bounds = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+      const rankOf = (i) => i + 2 < bounds.length ? (this.ranks.get(bytes.slice(bounds[i], bounds[i + 2])) ?? Infinity) : Infinity;
+      const pairRanks = bounds.map((_, i) => rankOf(i));
+
+      while (bounds.length > 2) {
+        let best = Infinity, at = -1;
+        for (let i = 0; i < pairRanks.length - 2; i++) {
+          if (pairRanks[i] < best) { best = pairRanks[i]; at = i; }
+        }
+        if (at === -1) break;
+        bounds.splice(at + 1, 1);
+        pairRanks.splice(at + 1, 1);
+        pairRanks[at] = rankOf(at);
+        if (at > 0) pairRanks[at - 1] = rankOf(at - 1);
+      }
+      return bounds.length - 1;
+    }
+  }
+
+  const loadedTokenizers = new Map();
+
+  const registerTokenizer = (name, source) => {
+    const tokenizer = BpeTokenizer.fromTiktoken(name, source);
+    tokenizer.source = source; // kept so the rank file can be handed to workers without refetching
+    loadedTokenizers.set(name, tokenizer);
+    return tokenizer;
+  };
+
+  const getTokenizer = async (name) => {
+    if (name === 'estimate') return null;
+    if (loadedTokenizers.has(name)) return loadedTokenizers.get(name);
+    const res = await fetch(`${ENCODINGS_BASE_URL}${name}.tiktoken`);
+    if (!res.ok) throw new Error(`${name}.tiktoken not found under ${ENCODINGS_BASE_URL} (HTTP ${res.status})`);
+    return registerTokenizer(name, await res.text());
+  };
+
+  // --- CHUNKING STRATEGIES ---
+  // A chunker decides where StreamProcessor cuts. It only sees the pending buffer:
+  //   ready(buffer)            -> enough text buffered to cut without peeking past the end
+  //   fits(buffer)             -> whole buffer is small enough to be the final chunk
+  //   cut(buffer)              -> index where the next chunk ends
+  //   overlapFrom(buffer, end) -> index where the following chunk starts (<= end)
+
+  const SENTENCE_END = /[.!?]\s/g;
+
+  // Last match of `pattern` whose end falls inside [min, max], or -1
+  const lastBoundary = (text, pattern, min, max) => {
+    const re = new RegExp(pattern.source, 'g');
+    let best = -1;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const at = m.index + m[0].length;
+      if (at > max) break;
+      if (at >= min) best = at;
+      if (m[0].length === 0) re.lastIndex++;
+    }
+    return best;
+  };
+
+  class FixedSizeChunker {
+    constructor({ size = 1500, overlap = 200, lookahead = 200 } = {}) {
+      this.size = size;
+      this.overlap = overlap;
+      this.lookahead = lookahead;
+    }
+
+    ready(buffer) { return buffer.length >= this.size + this.lookahead; }
+
+    fits(buffer) { return buffer.length <= this.size; }
+
+    cut(buffer) {
+      let end = Math.min(this.size, buffer.length);
+
+      // Smart split logic
+      if (end < buffer.length) {
+        const from = Math.max(0, end - 100);
+        const lookWindow = buffer.slice(from, end + 100);
+        const match = lookWindow.match(/[.!?]\s/); 
+        if (match && match.index !== undefined) {
+           end = from + match.index + 1;
+        } else {
+           const newlineMatch = lookWindow.match(/\n/);
+           if (newlineMatch && newlineMatch.index !== undefined) {
+              end = from + newlineMatch.index;
+           }
+        }
+      }
+
+      return end > 0 ? end : this.size;
+    }
+
+    overlapFrom(buffer, end) { return Math.max(0, end - this.overlap); }
+  }
+
+  class TokenBudgetChunker {
+    constructor({ maxTokens = 512, overlapTokens = 50 } = {}, countTokens = estimateTokens) {
+      this.maxTokens = maxTokens;
+      this.overlapTokens = overlapTokens;
+      this.countTokens = countTokens;
+    }
+
+    // Length of a buffer prefix that is over budget, or -1 if the whole buffer fits. Counting the
+    // whole buffer on every call is quadratic on long documents, so the prefix starts at 4 chars
+    // per budgeted token and doubles only while it still fits
+    _overBudget(buffer) {
+      for (let size = this.maxTokens * 4; ; size *= 2) {
+        const head = buffer.slice(0, size);
+        if (this.countTokens(head) > this.maxTokens) return head.length;
+        if (size >= buffer.length) return -1;
+      }
+    }
+
+    ready(buffer) { return this._overBudget(buffer) >= 0; }
+
+    fits(buffer) { return this._overBudget(buffer) < 0; }
+
+    // Longest prefix (in chars) of `text` whose token count stays within `budget`
+    _prefixWithin(text, budget) {
+      let lo = 0, hi = text.length;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (this.countTokens(text.slice(0, mid)) <= budget) lo = mid; else hi = mid - 1;
+      }
+      return lo;
+    }
+
+    cut(buffer) {
+      const over = this._overBudget(buffer);
+      if (over < 0) return buffer.length;
+      const head = buffer.slice(0, over);
+      const limit = this._prefixWithin(head, this.maxTokens);
+      // Back off to a sentence, line or word boundary within the last 20% of the budget
+      const min = Math.floor(limit * 0.8);
+      for (const pattern of [SENTENCE_END, /\n/, /\s/]) {
+        const at = lastBoundary(head, pattern, min, limit);
+        if (at > 0) return at;
+      }
+      return Math.max(1, limit);
+    }
+
+    overlapFrom(buffer, end) {
+      if (this.overlapTokens <= 0) return end;
+      // Walk back from the cut until the tail holds `overlapTokens`
+      const head = buffer.slice(0, end);
+      let lo = 0, hi = end;
+      while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (this.countTokens(head.slice(mid)) <= this.overlapTokens) hi = mid; else lo = mid + 1;
+      }
+      return lo;
+    }
+  }
+
+  // Paragraph -> line -> sentence -> word, like LangChain's RecursiveCharacterTextSplitter
+  class RecursiveChunker {
+    constructor({ size = 1000, overlap = 100 } = {}) {
+      this.size = size;
+      this.overlap = overlap;
+      this.separators = [/\n\n/, /\n/, SENTENCE_END, /\s/];
+    }
+
+    ready(buffer) { return buffer.length > this.size; }
+
+    fits(buffer) { return buffer.length <= this.size; }
+
+    cut(buffer, size = this.size) {
+      if (buffer.length <= size) return buffer.length;
+      const min = Math.floor(size / 2);
+      for (const pattern of this.separators) {
+        const at = lastBoundary(buffer, pattern, min, size);
+        if (at > 0) return at;
+      }
+      return size;
+    }
+
+    overlapFrom(buffer, end) { return Math.max(0, end - this.overlap); }
+  }
+
+  const isHeadingLine = (line) => {
+    const text = line.trim();
+    if (text.length < 3 || text.length > 80) return false;
+    if (/^#{1,6}\s+\S/.test(text)) return true;
+    if (/^(chapter|chapitre|cap[ií]tulo|part|parte|section|se[cç][aã]o|appendix|ap[eê]ndice)\b/i.test(text)) return true;
+    if (/[.!?,;]$/.test(text)) return false;
+    if (/^\d+(\.\d+)*\.?\s+\p{Lu}/u.test(text)) return true;
+    const letters = text.replace(/[^\p{L}]/gu, '');
+    return letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+  };
+
+  // Starts new chunks at headings; sections longer than maxSize fall back to recursive splitting
+  class HeadingAwareChunker extends RecursiveChunker {
+    constructor({ maxSize = 2000, minSize = 300, overlap = 100 } = {}) {
+      super({ size: maxSize, overlap });
+      this.minSize = minSize;
+      this.lastCutAtHeading = false;
+    }
+
+    // Keep enough lookahead to see a heading that follows a forced split
+    ready(buffer) { return buffer.length > this.size + this.minSize; }
+
+    // First heading line starting at or after `from`, or -1
+    _nextHeading(buffer, from) {
+      const lineStart = /\n/g;
+      lineStart.lastIndex = Math.max(0, from - 1);
+      let m;
+      while ((m = lineStart.exec(buffer)) !== null) {
+        const at = m.index + 1;
+        const lineEnd = buffer.indexOf('\n', at);
+        if (isHeadingLine(buffer.slice(at, lineEnd === -1 ? undefined : lineEnd))) return at;
+      }
+      return -1;
+    }
+
+    cut(buffer) {
+      const heading = this._nextHeading(buffer, this.minSize);
+      if (heading !== -1 && heading <= this.size) {
+        this.lastCutAtHeading = true;
+        return heading;
+      }
+      this.lastCutAtHeading = false;
+
+      // Section too long: split it, but leave at least minSize before the next heading
+      const end = super.cut(buffer);
+      if (heading !== -1 && heading - end < this.minSize) {
+        return super.cut(buffer, Math.max(this.minSize, heading - this.minSize));
+      }
+      return end;
+    }
+
+    // A chunk that starts at a heading must not begin with the tail of the previous section
+    overlapFrom(buffer, end) { return this.lastCutAtHeading ? end : super.overlapFrom(buffer, end); }
+  }
+
+  // Registry shown in the UI; `fields` drive the parameter inputs, `defaults` go to the manifest.
+  // `halfOf` caps a field at half of another one (overlap against the chunk size).
+  const CHUNKERS = {
+    fixed: {
+      label: 'Fixed Size (chars)',
+      fields: [
+        { key: 'size', label: 'Chunk chars', min: 200, max: 20000 },
+        { key: 'overlap', label: 'Overlap chars', min: 0, max: 5000, halfOf: 'size' },
+        { key: 'lookahead', label: 'Lookahead chars', min: 0, max: 2000 }
+      ],
+      defaults: { size: 1500, overlap: 200, lookahead: 200 },
+      create: (params) => new FixedSizeChunker(params)
+    },
+    tokens: {
+      label: 'Token Budget',
+      fields: [
+        { key: 'maxTokens', label: 'Max tokens', min: 32, max: 8192 },
+        { key: 'overlapTokens', label: 'Overlap tokens', min: 0, max: 1024, halfOf: 'maxTokens' }
+      ],
+      defaults: { maxTokens: 512, overlapTokens: 50 },
+      create: (params, countTokens) => new TokenBudgetChunker(params, countTokens)
+    },
+    recursive: {
+      label: 'Recursive Separators',
+      fields: [
+        { key: 'size', label: 'Chunk chars', min: 200, max: 20000 },
+        { key: 'overlap', label: 'Overlap chars', min: 0, max: 5000, halfOf: 'size' }
+      ],
+      defaults: { size: 1000, overlap: 100 },
+      create: (params) => new RecursiveChunker(params)
+    },
+    headings: {
+      label: 'Heading Aware',
+      fields: [
+        { key: 'maxSize', label: 'Max chars', min: 200, max: 20000 },
+        { key: 'minSize', label: 'Min chars', min: 0, max: 10000 },
+        { key: 'overlap', label: 'Overlap chars', min: 0, max: 5000, halfOf: 'maxSize' }
+      ],
+      defaults: { maxSize: 2000, minSize: 300, overlap: 100 },
+      create: (params) => new HeadingAwareChunker(params)
+    }
+  };
+
+  // Clamps UI input into each field's range; overlap must stay below the chunk size or the stream never
+  // advances, so it is held to half of it. The clamped values are what the manifest records.
+  const normalizeChunking = ({ strategy, params }) => {
+    const spec = CHUNKERS[strategy] || CHUNKERS.fixed;
+    const clean = {};
+    for (const field of spec.fields) {
+      const value = Number(params?.[field.key]);
+      clean[field.key] = Number.isFinite(value) ? Math.min(field.max, Math.max(field.min, Math.round(value))) : spec.defaults[field.key];
+    }
+    for (const field of spec.fields) {
+      if (field.halfOf) clean[field.key] = Math.min(clean[field.key], Math.floor(clean[field.halfOf] / 2));
+    }
+    return { strategy: CHUNKERS[strategy] ? strategy : 'fixed', params: clean };
+  };
+
+  // --- PDF LAYOUT RECONSTRUCTION ---
+  // Rebuilds lines, paragraphs and column reading order from pdf.js text items
+  // (transform = [scaleX, skewY, skewX, scaleY, x, y], y grows upwards).
+
+  const toLayoutItems = (items) => items
+    .filter(item => item.str && item.str.trim() && item.transform)
+    .map(item => ({
+      str: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width || 0,
+      size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 10
+    }));
+
+  // Vertical whitespace channel between 30% and 70% of the page that (almost) no item crosses
+  const findGutter = (items, pageWidth) => {
+    if (items.length < 10 || !pageWidth) return null;
+    const from = Math.floor(pageWidth * 0.3);
+    const to = Math.ceil(pageWidth * 0.7);
+    const cover = new Uint32Array(to - from + 1);
+    for (const item of items) {
+      const a = Math.max(from, Math.floor(item.x));
+      const b = Math.min(to, Math.ceil(item.x + item.width));
+      for (let x = a; x <= b; x++) cover[x - from]++;
+    }
+
+    // Widest run of columns crossed by at most 5% of the items
+    const limit = Math.floor(items.length * 0.05);
+    let best = null, runStart = -1;
+    for (let i = 0; i <= cover.length; i++) {
+      if (i < cover.length && cover[i] <= limit) {
+        if (runStart === -1) runStart = i;
+      } else if (runStart !== -1) {
+        if (!best || i - runStart > best.width) best = { start: runStart, width: i - runStart };
+        runStart = -1;
+      }
+    }
+    if (!best || best.width < 6) return null;
+
+    const gutter = from + best.start + best.width / 2;
+    const left = items.filter(item => item.x + item.width <= gutter).length;
+    const right = items.filter(item => item.x >= gutter).length;
+    // Both sides must carry real text, not a lone page number or margin note
+    return left >= items.length * 0.2 && right >= items.length * 0.2 ? gutter : null;
+  };
+
+  const groupLines = (items) => {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    for (const item of sorted) {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - item.y) <= Math.min(line.size, item.size) * 0.5) {
+        line.items.push(item);
+        line.size = Math.max(line.size, item.size);
+      } else {
+        lines.push({ y: item.y, size: item.size, items: [item] });
+      }
+    }
+
+    return lines.map(line => {
+      const parts = line.items.sort((a, b) => a.x - b.x);
+      let text = "";
+      let prevEnd = null;
+      for (const item of parts) {
+        const gap = prevEnd === null ? 0 : item.x - prevEnd;
+        if (prevEnd !== null && gap > item.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) text += " ";
+        text += item.str;
+        prevEnd = item.x + item.width;
+      }
+      return { text: text.replace(/\s+/g, ' ').trim(), y: line.y, x: parts[0].x, size: line.size };
+    }).filter(line => line.text);
+  };
+
+  // Page -> ordered groups of lines: full-width bands top to bottom, each column band left then right
+  const extractPageLayout = (rawItems, pageWidth) => {
+    const items = toLayoutItems(rawItems);
+    const gutter = findGutter(items, pageWidth);
+    if (gutter === null) return [groupLines(items)];
+
+    const bands = [];
+    for (const item of [...items].sort((a, b) => b.y - a.y)) {
+      const side = item.x + item.width <= gutter ? 'left' : item.x >= gutter ? 'right' : 'span';
+      let band = bands[bands.length - 1];
+      const wanted = side === 'span' ? 'span' : 'columns';
+      if (!band || band.type !== wanted) {
+        band = wanted === 'span' ? { type: 'span', items: [] } : { type: 'columns', left: [], right: [] };
+        bands.push(band);
+      }
+      (side === 'span' ? band.items : band[side]).push(item);
+    }
+
+    return bands
+      .flatMap(band => band.type === 'span' ? [band.items] : [band.left, band.right])
+      .filter(group => group.length > 0)
+      .map(groupLines);
+  };
+
+  const HYPHEN_END = /(\p{L})[-\u2010\u00AD]$/u;
+
+  // Lines -> paragraphs ("\n\n"), reflowing soft line breaks and joining hyphenated words
+  const layoutToText = (groups) => groups.map(lines => {
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) gaps.push(lines[i - 1].y - lines[i].y);
+    const typicalGap = gaps.length ? [...gaps].sort((a, b) => a - b)[Math.floor(gaps.length / 2)] : 0;
+    const left = Math.min(...lines.map(line => line.x));
+
+    const paragraphs = [];
+    let current = "";
+    lines.forEach((line, i) => {
+      const prev = lines[i - 1];
+      const breaks = !prev
+        || prev.y - line.y > Math.max(typicalGap * 1.4, line.size * 1.2)
+        || Math.abs(prev.size - line.size) > Math.max(prev.size, line.size) * 0.15
+        || (line.x > left + line.size * 1.5 && /[.!?:"”]$/.test(prev.text));
+
+      if (breaks) {
+        if (current) paragraphs.push(current);
+        current = line.text;
+      } else if (HYPHEN_END.test(current) && /^\p{Ll}/u.test(line.text)) {
+        current = current.slice(0, -1) + line.text;
+      } else {
+        current += " " + line.text;
+      }
+    });
+    if (current) paragraphs.push(current);
+    return paragraphs.join("\n\n");
+  }).filter(Boolean).join("\n\n");
+
+  // Running heads, footers, page numbers and watermarks: the same line at the same height on many pages.
+  // Digits are ignored only at page edges, so "Page 12" matches "Page 13" but body lines never do.
+  const boilerplateKeys = (line, atEdge) => {
+    const height = Math.round(line.y / 3);
+    const text = line.text.toLowerCase().replace(/\s+/g, ' ');
+    const keys = [`=${height}|${text}`];
+    if (atEdge && /\d/.test(text)) keys.push(`#${height}|${text.replace(/\d+/g, '#')}`);
+    return keys;
+  };
+
+  const BOILERPLATE_WINDOW = 12; // pages compared at once
+
+  // Top two and bottom two lines of the page
+  const edgeHeights = (groups) => {
+    const heights = groups.flat().map(line => line.y).sort((a, b) => b - a);
+    return new Set([...heights.slice(0, 2), ...heights.slice(-2)]);
+  };
+
+  // Keys of the lines repeated across a run of pages (each page a list of line groups)
+  const findRepeatedKeys = (pages) => {
+    const repeated = new Set();
+    if (pages.length < 3) return repeated;
+
+    const seen = new Map();
+    pages.forEach((groups, index) => {
+      const edges = edgeHeights(groups);
+      for (const line of groups.flat()) {
+        const atEdge = edges.has(line.y);
+        for (const key of boilerplateKeys(line, atEdge)) {
+          const entry = seen.get(key) || { pages: new Set(), edgePages: new Set() };
+          entry.pages.add(index);
+          if (atEdge) entry.edgePages.add(index);
+          seen.set(key, entry);
+        }
+      }
+    });
+
+    // Exact repeats: 3 pages at an edge (chapter running heads) or half the pages anywhere (watermarks).
+    // Numbered repeats (page numbers, "12 | Book Title") must sit at an edge on 40% of the pages.
+    const half = Math.max(3, Math.ceil(pages.length * 0.5));
+    const numbered = Math.max(3, Math.ceil(pages.length * 0.4));
+    for (const [key, entry] of seen) {
+      const hit = key[0] === '='
+        ? entry.edgePages.size >= 3 || entry.pages.size >= half
+        : entry.edgePages.size >= numbered;
+      if (hit) repeated.add(key);
+    }
+    return repeated;
+  };
+
+  // Drops a page's repeated lines from its line groups in place, returns how many were removed
+  const stripRepeatedLines = (groups, repeated) => {
+    const edges = edgeHeights(groups);
+    let removed = 0;
+    for (let g = 0; g < groups.length; g++) {
+      const kept = groups[g].filter(line => !boilerplateKeys(line, edges.has(line.y)).some(key => repeated.has(key)));
+      removed += groups[g].length - kept.length;
+      groups[g] = kept;
+    }
+    return removed;
+  };
+
+  // Holds at most BOILERPLATE_WINDOW pages: each page leaves stripped against itself and the pages after it
+  // (the opening ones against the first window), plus every key an earlier window found. OCR pages have
+  // no line positions to compare: they keep their place but take no part.
+  const boilerplateWindow = (emit) => {
+    const held = [];
+    const known = new Set();
+    let removed = 0;
+    const learn = () => {
+      for (const key of findRepeatedKeys(held.filter(p => p.groups).map(p => p.groups))) known.add(key);
+    };
+    const release = () => {
+      const page = held.shift();
+      if (page.groups) removed += stripRepeatedLines(page.groups, known);
+      emit(page);
+    };
+    return {
+      push: (page) => {
+        held.push(page);
+        if (held.length < BOILERPLATE_WINDOW) return;
+        learn();
+        release();
+      },
+      // Releases the last window; returns how many lines were removed in total
+      finish: () => {
+        learn();
+        while (held.length) release();
+        return removed;
+      }
+    };
+  };
+
+  const PDF_EXTRACTION_MODES = {
+    layout: 'Layout-aware (lines, paragraphs, columns)',
+    simple: 'Simple (join text items)'
+  };
+
+  // --- DOCUMENT METADATA ---
+  // Every extractor reduces what its format offers to the same flat record
+
+  const cleanField = (value) => {
+    if (Array.isArray(value)) value = value.filter(Boolean).join('; ');
+    if (typeof value !== 'string') return null;
+    const text = value.replace(/\s+/g, ' ').trim();
+    return text || null;
+  };
+
+  // PDF dates look like "D:20100314120000+01'00'"; anything else goes through Date.parse
+  const parseDocumentDate = (value) => {
+    const text = cleanField(value);
+    if (!text) return null;
+    const pdf = text.match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+    if (pdf) {
+      const [, y, mo = '01', d = '01', h = '00', mi = '00', sec = '00', tz] = pdf;
+      const zone = !tz || tz === 'Z' ? 'Z' : `${tz.slice(0, 3)}:${tz.replace(/'/g, '').slice(3, 5) || '00'}`;
+      const date = new Date(`${y}-${mo}-${d}T${h}:${mi}:${sec}${zone}`);
+      return isNaN(date) ? `${y}-${mo}-${d}` : date.toISOString();
+    }
+    if (/^\d{4}(-\d{2}){0,2}$/.test(text)) return text; // Year or calendar date, keep as written
+    const date = new Date(text);
+    return isNaN(date) ? text : date.toISOString();
+  };
+
+  const findIsbn = (values) => {
+    for (const value of values) {
+      const digits = (cleanField(value) || '').replace(/^urn:isbn:/i, '').replace(/[\s-]/g, '');
+      const match = digits.match(/(97[89]\d{10}|\d{9}[\dX])/i);
+      if (match) return match[1].toUpperCase();
+    }
+    return null;
+  };
+
+  // Drops empty fields and derives `year` from the publication date
+  const normalizeDocumentMetadata = (fields) => {
+    const record = {};
+    for (const [key, value] of Object.entries(fields)) {
+      const clean = key === 'published' ? parseDocumentDate(value) : cleanField(value);
+      if (clean) record[key] = clean;
+    }
+    const year = record.published?.match(/^(\d{4})/)?.[1];
+    if (year) record.year = parseInt(year, 10);
+    return record;
+  };
+
+  // Dublin Core as used by EPUB OPF and DOCX docProps/core.xml
+  const readDublinCore = (doc) => {
+    const all = (name) => byLocalName(doc, name).map(el => el.textContent);
+    const identifiers = all('identifier');
+    return {
+      title: all('title')[0],
+      author: all('creator'),
+      subject: all('subject'),
+      description: all('description')[0],
+      language: all('language')[0],
+      publisher: all('publisher')[0],
+      identifier: identifiers[0],
+      isbn: findIsbn(identifiers),
+      published: all('date')[0] || all('created')[0]
+    };
+  };
+
+  const readPdfMetadata = async (pdf) => {
+    const { info = {}, metadata } = await pdf.getMetadata().catch(() => ({}));
+    // XMP is usually cleaner than the Info dictionary ("Microsoft Word - draft3.docx")
+    const xmp = (key) => cleanField(metadata?.get?.(key));
+    return normalizeDocumentMetadata({
+      title: xmp('dc:title') || info.Title,
+      author: xmp('dc:creator') || info.Author,
+      subject: xmp('dc:description') || info.Subject,
+      keywords: xmp('pdf:keywords') || info.Keywords,
+      published: xmp('xmp:createdate') || info.CreationDate,
+      producer: info.Producer
+    });
+  };
+
+  // --- EPUB STRUCTURE ---
+  // container.xml -> OPF (manifest + spine) -> nav document (EPUB 3) or NCX (EPUB 2) for titles
+
+  const BLOCK_TAGS = 'p, div, h1, h2, h3, h4, h5, h6, li, dt, dd, tr, blockquote, pre, section, article, aside, header, footer, figcaption, caption, table, ul, ol, hr';
+
+  const parseMarkup = (raw, type = 'application/xhtml+xml') => {
+    const doc = new scope.DOMParser().parseFromString(raw, type);
+    // Plenty of EPUBs ship XHTML that is not well-formed XML
+    if (type !== 'text/html' && doc.getElementsByTagName('parsererror').length > 0) {
+      return new scope.DOMParser().parseFromString(raw, 'text/html');
+    }
+    return doc;
+  };
+
+  // Visible text with a paragraph break after every block element
+  const htmlToText = (doc) => {
+    const body = doc.body || doc.getElementsByTagName('body')[0] || doc.documentElement;
+    if (!body) return "";
+    const root = body.cloneNode(true);
+    root.querySelectorAll('script, style, noscript, head, template').forEach(el => el.remove());
+    root.querySelectorAll('br').forEach(el => el.replaceWith('\n'));
+    root.querySelectorAll(BLOCK_TAGS).forEach(el => el.append('\n\n'));
+    return root.textContent.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  };
+
+  // Zip paths are relative to the referencing file and may be URL-encoded
+  const resolvePath = (fromFile, href) => {
+    const base = fromFile.includes('/') ? fromFile.slice(0, fromFile.lastIndexOf('/') + 1) : '';
+    const url = new URL(href, `http://epub/${base}`);
+    return decodeURIComponent(url.pathname.slice(1));
+  };
+
+  const byLocalName = (node, name) => Array.from(node.getElementsByTagName('*')).filter(el => el.localName === name);
+
+  // --- MARKUP DIGESTS ---
+  // Extractors never hold DOM nodes: every parse is reduced at once to plain data by a named digest.
+  // Web Workers have no DOMParser, so there scope.digestMarkup (set up by the app's worker) posts the
+  // markup to the main thread, which runs the same digest and sends the result back.
+
+  // Word: paragraph text with tabs and line breaks kept
+  const paragraphText = (p) => {
+    let text = "";
+    for (const node of Array.from(p.getElementsByTagName('*'))) {
+      if (node.localName === 't') text += node.textContent;
+      else if (node.localName === 'tab') text += '\t';
+      else if (node.localName === 'br' || node.localName === 'cr') text += '\n';
+    }
+    return text;
+  };
+
+  // Content controls (w:sdt) and custom XML wrap paragraphs, tables, rows and cells; they are walked
+  // through, and cells use the same walk, so nested tables are read once and in document order
+  const DOCX_WRAPPERS = new Set(['sdt', 'sdtContent', 'customXml']);
+  const childrenNamed = (node, name) => Array.from(node.children).flatMap(child =>
+    DOCX_WRAPPERS.has(child.localName) ? childrenNamed(child, name) : child.localName === name ? [child] : []);
+
+  const docxBlocks = (container) => {
+    const blocks = [];
+    for (const node of Array.from(container.children)) {
+      if (DOCX_WRAPPERS.has(node.localName)) {
+        blocks.push(...docxBlocks(node));
+      } else if (node.localName === 'p') {
+        const text = paragraphText(node).trim();
+        if (text) blocks.push(text);
+      } else if (node.localName === 'tbl') {
+        const rows = childrenNamed(node, 'tr').map(tr => childrenNamed(tr, 'tc').map(tc => docxBlocks(tc).join(' ')).join(' | '));
+        if (rows.length) blocks.push(rows.join('\n'));
+      }
+    }
+    return blocks;
+  };
+
+  const MARKUP_DIGESTS = {
+    epubContainer: (doc) => byLocalName(doc, 'rootfile')[0]?.getAttribute('full-path') || null,
+    epubPackage: (doc) => {
+      const spine = byLocalName(doc, 'spine')[0];
+      const metadata = byLocalName(doc, 'metadata')[0];
+      return {
+        items: byLocalName(doc, 'item').map(item => ({
+          id: item.getAttribute('id'),
+          href: item.getAttribute('href') || '',
+          type: item.getAttribute('media-type') || '',
+          properties: item.getAttribute('properties') || ''
+        })),
+        toc: spine?.getAttribute('toc') || null,
+        spine: spine ? byLocalName(spine, 'itemref').map(ref => ({ idref: ref.getAttribute('idref'), linear: ref.getAttribute('linear') !== 'no' })) : [],
+        metadata: metadata ? readDublinCore(metadata) : {}
+      };
+    },
+    // Table of contents entries as [{ href, title }]
+    epubNav: (doc) => {
+      const navs = byLocalName(doc, 'nav');
+      const toc = navs.find(el => /\btoc\b/.test(el.getAttribute('epub:type') || el.getAttribute('type') || '')) || navs[0];
+      return toc ? byLocalName(toc, 'a').filter(a => a.getAttribute('href')).map(a => ({ href: a.getAttribute('href'), title: a.textContent })) : [];
+    },
+    epubNcx: (doc) => byLocalName(doc, 'navPoint')
+      .map(point => ({ href: byLocalName(point, 'content')[0]?.getAttribute('src'), title: byLocalName(point, 'text')[0]?.textContent }))
+      .filter(entry => entry.href),
+    chapter: (doc) => ({
+      heading: doc.querySelector('h1, h2, h3')?.textContent.replace(/\s+/g, ' ').trim() || null,
+      text: htmlToText(doc)
+    }),
+    dublinCore: (doc) => readDublinCore(doc),
+    docx: (doc) => {
+      const body = byLocalName(doc, 'body')[0];
+      if (!body) throw new Error('Word document has no body');
+      return docxBlocks(body);
+    },
+    html: (doc) => {
+      const meta = (name) => doc.querySelector(`meta[name="${name}" i], meta[property="${name}" i]`)?.getAttribute('content');
+      return {
+        metadata: {
+          title: meta('og:title') || meta('dc.title') || doc.title,
+          author: meta('author') || meta('dc.creator') || meta('article:author'),
+          description: meta('description') || meta('og:description'),
+          language: doc.documentElement?.getAttribute('lang'),
+          published: meta('article:published_time') || meta('dc.date') || meta('date')
+        },
+        text: htmlToText(doc)
+      };
+    }
+  };
+
+  const digestMarkup = async (raw, type, digest) => {
+    if (scope.DOMParser) return MARKUP_DIGESTS[digest](parseMarkup(raw, type));
+    if (scope.digestMarkup) return scope.digestMarkup(raw, type, digest);
+    throw new Error('Reading markup needs a DOMParser');
+  };
+
+  const readEpubStructure = async (zip) => {
+    const container = zip.file('META-INF/container.xml');
+    if (!container) throw new Error('Not an EPUB: META-INF/container.xml is missing');
+    const opfPath = await digestMarkup(await container.async('string'), 'application/xml', 'epubContainer');
+    if (!opfPath || !zip.file(opfPath)) throw new Error('EPUB package document (OPF) not found');
+
+    const opf = await digestMarkup(await zip.file(opfPath).async('string'), 'application/xml', 'epubPackage');
+    const manifest = new Map(opf.items.map(item => [item.id, {
+      path: resolvePath(opfPath, item.href),
+      type: item.type,
+      properties: item.properties.split(/\s+/)
+    }]));
+
+    // Table of contents: document path -> first title pointing into it
+    const titles = new Map();
+    const addTitle = (fromFile, href, title) => {
+      const path = resolvePath(fromFile, href.split('#')[0]);
+      if (title && !titles.has(path)) titles.set(path, title.replace(/\s+/g, ' ').trim());
+    };
+    const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+    const ncxItem = manifest.get(opf.toc) || [...manifest.values()].find(item => item.type === 'application/x-dtbncx+xml');
+
+    if (navItem && zip.file(navItem.path)) {
+      const entries = await digestMarkup(await zip.file(navItem.path).async('string'), 'application/xhtml+xml', 'epubNav');
+      entries.forEach(({ href, title }) => addTitle(navItem.path, href, title));
+    } else if (ncxItem && zip.file(ncxItem.path)) {
+      const entries = await digestMarkup(await zip.file(ncxItem.path).async('string'), 'application/xml', 'epubNcx');
+      entries.forEach(({ href, title }) => addTitle(ncxItem.path, href, title));
+    }
+
+    // Reading order: linear XHTML spine documents, minus the nav document itself
+    const documents = [];
+    for (const ref of opf.spine) {
+      if (!ref.linear) continue;
+      const item = manifest.get(ref.idref);
+      if (!item || item.properties.includes('nav') || !/x?html/.test(item.type)) continue;
+      documents.push({ path: item.path, title: titles.get(item.path) || null });
+    }
+    if (documents.length === 0) throw new Error('EPUB spine has no readable documents');
+    return { documents, hasToc: titles.size > 0, metadata: normalizeDocumentMetadata(opf.metadata) };
+  };
+
+  // --- OCR ---
+  // Pages without a text layer are rendered through pdf.js and read by tesseract.js (scope.Tesseract).
+  // Canvases come from scope.createCanvas (Node) or OffscreenCanvas; language data from configureOcr({ langPath }).
+
+  const OCR_BELOW_CHARS = 20; // pages with fewer non-whitespace characters are treated as text-less (stray page numbers)
+  const OCR_DPI = 200;
+  const OCR_MAX_SIDE = 4000; // pixels, keeps oversized pages within canvas limits
+
+  let ocrOptions = {};
+  const ocrWorkers = new Map(); // languages -> Promise<tesseract worker>, reused across files
+
+  // Where tesseract.js finds <lang>.traineddata (uncompressed unless gzip: true), plus any other createWorker option
+  const configureOcr = (options = {}) => {
+    ocrOptions = { ...options };
+  };
+
+  const getOcrWorker = (languages) => {
+    if (!scope.Tesseract) return Promise.reject(new Error('OCR unavailable: tesseract.js is not loaded'));
+    if (!ocrWorkers.has(languages)) {
+      // Without an errorHandler tesseract.js rethrows failed jobs outside the promise that awaits them
+      const worker = scope.Tesseract.createWorker(languages, 1, { gzip: false, errorHandler: () => {}, ...ocrOptions });
+      // A failed start (missing language data) should not poison later attempts
+      worker.catch(() => ocrWorkers.delete(languages));
+      ocrWorkers.set(languages, worker);
+    }
+    return ocrWorkers.get(languages);
+  };
+
+  const releaseOcr = async () => {
+    const workers = [...ocrWorkers.values()];
+    ocrWorkers.clear();
+    await Promise.all(workers.map(w => w.then(worker => worker.terminate(), () => {})));
+  };
+
+  // pdf.js asks this for scratch canvases too; the DOM default does not exist in workers or Node
+  const ocrCanvasFactory = {
+    create(width, height) {
+      const canvas = scope.createCanvas ? scope.createCanvas(width, height) : new OffscreenCanvas(width, height);
+      return { canvas, context: canvas.getContext('2d') };
+    },
+    reset(entry, width, height) {
+      entry.canvas.width = width;
+      entry.canvas.height = height;
+    },
+    destroy(entry) {
+      entry.canvas.width = 0;
+      entry.canvas.height = 0;
+      entry.canvas = null;
+      entry.context = null;
+    }
+  };
+
+  const ocrPage = async (page, worker) => {
+    const base = page.getViewport({ scale: 1 });
+    const scale = Math.min(OCR_DPI / 72, OCR_MAX_SIDE / Math.max(base.width, base.height));
+    const viewport = page.getViewport({ scale });
+    const entry = ocrCanvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    try {
+      // White background: tesseract reads transparent pixels as black
+      entry.context.fillStyle = '#ffffff';
+      entry.context.fillRect(0, 0, entry.canvas.width, entry.canvas.height);
+      await page.render({ canvasContext: entry.context, viewport }).promise;
+      // Node canvases hand tesseract.js a Buffer, browsers a Blob
+      const image = entry.canvas.toBuffer ? entry.canvas.toBuffer('image/png') : await entry.canvas.convertToBlob({ type: 'image/png' });
+      const { data } = await worker.recognize(image);
+      const text = data.text
+        .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2') // hyphenated line breaks
+        .replace(/([^\n])\n(?=[^\n])/g, '$1 '); // lines back into paragraphs
+      return { text, confidence: Math.round(data.confidence) / 100 };
+    } finally {
+      ocrCanvasFactory.destroy(entry);
+    }
+  };
+
+  // --- EXTRACTORS ---
+
+  const processPDF = async (file, streamProcessor, { onProgress, checkpoint, options: { layout = true, stripBoilerplate = true, ocr = null } = {} }) => {
+    const buffer = await file.arrayBuffer();
+    // Rendering for OCR needs canvases pdf.js can create off the DOM, and glyphs drawn as paths there
+    const pdf = await scope.pdfjsLib.getDocument(ocr ? { data: buffer, canvasFactory: ocrCanvasFactory, disableFontFace: !scope.document } : buffer).promise;
+    // checkpoint() throws on cancel: the document is released whichever way the file ends
+    try {
+      const total = pdf.numPages;
+      streamProcessor.setDocumentMetadata(await readPdfMetadata(pdf));
+      let ocrWorker = null;
+      if (ocr) {
+        try {
+          ocrWorker = await getOcrWorker(ocr.languages);
+        } catch (e) {
+          throw new Error(`OCR could not start for "${ocr.languages}": ${e?.message || e}`);
+        }
+      }
+      const emit = ({ number, groups, text, confidence }) => {
+        // Blank pages stay plain empty pages
+        if (confidence !== undefined && text.trim()) streamProcessor.markOcrPage(number, confidence);
+        const body = text ?? (layout ? layoutToText(groups) : groups.flat().map(line => line.text).join(' '));
+        // Inject marker for page tracking
+        streamProcessor.processText(body + ` [PAGE_END:${number}]\n`);
+      };
+      // Spotting repeated headers/footers needs neighbouring pages, so a window of them is held back
+      const pages = stripBoilerplate ? boilerplateWindow(emit) : { push: emit, finish: () => 0 };
+
+      for (let i = 1; i <= total; i++) {
+        let page = null;
+        let extracted = null;
+        try {
+          page = await pdf.getPage(i);
+          const content = await page.getTextContent();
+          const chars = content.items.reduce((sum, item) => sum + (item.str || '').replace(/\s+/g, '').length, 0);
+          if (ocrWorker && chars < OCR_BELOW_CHARS) {
+            extracted = { number: i, ...await ocrPage(page, ocrWorker) };
+            onProgress(Math.round((i / total) * 100));
+          } else if (layout) {
+            extracted = { number: i, groups: extractPageLayout(content.items, page.getViewport({ scale: 1 }).width) };
+          } else if (stripBoilerplate) {
+            extracted = { number: i, groups: [groupLines(toLayoutItems(content.items))] };
+          } else {
+            extracted = { number: i, text: content.items.map(item => item.str).join(' ') };
+          }
+
+          if (i % 5 === 0) onProgress(Math.round((i / total) * 100));
+        } catch (e) {
+          streamProcessor.quality.fail(i, e);
+        } finally {
+          if (page) page.cleanup();
+        }
+        if (extracted) pages.push(extracted);
+        // Outside the page's try, so a cancel is not recorded as a failed page; OCR pages are slow enough to check after each
+        if (i % 10 === 0 || extracted?.confidence !== undefined) await checkpoint();
+      }
+
+      const removedLines = pages.finish();
+
+      return { removed_lines: removedLines };
+    } finally {
+      pdf.destroy();
+    }
+  };
+
+  const processEPUB = async (file, streamProcessor, { onProgress, checkpoint }) => {
+    const zip = await scope.JSZip.loadAsync(await file.arrayBuffer());
+    const { documents, hasToc, metadata } = await readEpubStructure(zip);
+    streamProcessor.setDocumentMetadata(metadata);
+
+    // A chapter starts at every TOC target; spine documents the TOC skips continue the previous chapter.
+    // Without a TOC every document is a chapter, titled by its first heading.
+    const chapters = [];
+    const texts = [];
+    for (const { path, title } of documents) {
+      const entry = zip.file(path);
+      const { heading, text } = entry ? await digestMarkup(await entry.async('string'), 'application/xhtml+xml', 'chapter') : { heading: null, text: "" };
+      if (chapters.length === 0 || !hasToc || title) {
+        chapters.push({ index: chapters.length + 1, title: (hasToc ? title : heading) || null, documents: [] });
+      }
+      chapters[chapters.length - 1].documents.push(path);
+      texts.push({ chapter: chapters.length, text });
+      await checkpoint();
+    }
+
+    streamProcessor.setChapters(chapters.map(c => c.title));
+    texts.forEach(({ chapter, text }, i) => {
+      // Page markers double as chapter markers for EPUBs
+      streamProcessor.processText(text + ` [PAGE_END:${chapter}]\n\n`);
+      onProgress(Math.round(((i + 1) / texts.length) * 100));
+    });
+
+    // The manifest lists the titles as the chunks carry them: redacted
+    return { chapters: chapters.map((c, i) => ({ ...c, title: streamProcessor.chapterTitles[i] })) };
+  };
+
+  // Whole documents go into the stream in slices, like CSV rows, so a chunker never holds the rest of
+  // the file. A slice ends after a whitespace run: whitespace normalizes the same whole or sliced.
+  const TEXT_SLICE_CHARS = 64 * 1024;
+
+  const processTextInSlices = async (text, streamProcessor, { onProgress, checkpoint }) => {
+    const whitespace = /\s+/g;
+    for (let start = 0; start < text.length;) {
+      whitespace.lastIndex = start + TEXT_SLICE_CHARS - 1;
+      const run = whitespace.exec(text);
+      const end = run ? run.index + run[0].length : text.length;
+      streamProcessor.processText(text.slice(start, end));
+      start = end;
+      onProgress(Math.round((end / text.length) * 100));
+      await checkpoint();
+    }
+    onProgress(100);
+  };
+
+  // Word: paragraphs and table rows from word/document.xml
+  const processDOCX = async (file, streamProcessor, { onProgress, checkpoint }) => {
+    const zip = await scope.JSZip.loadAsync(await file.arrayBuffer());
+    const entry = zip.file('word/document.xml');
+    if (!entry) throw new Error('Not a Word document: word/document.xml is missing');
+    const blocks = await digestMarkup(await entry.async('string'), 'application/xml', 'docx');
+    const core = zip.file('docProps/core.xml');
+    if (core) streamProcessor.setDocumentMetadata(normalizeDocumentMetadata(await digestMarkup(await core.async('string'), 'application/xml', 'dublinCore')));
+
+    streamProcessor.setUnpaged();
+    await processTextInSlices(blocks.join('\n\n'), streamProcessor, { onProgress, checkpoint });
+    return {};
+  };
+
+  const processHTML = async (file, streamProcessor, { onProgress, checkpoint }) => {
+    const { metadata, text } = await digestMarkup(await file.text(), 'text/html', 'html');
+    streamProcessor.setDocumentMetadata(normalizeDocumentMetadata(metadata));
+    streamProcessor.setUnpaged();
+    await processTextInSlices(text, streamProcessor, { onProgress, checkpoint });
+    return {};
+  };
+
+  // Markdown stays Markdown (headings help the heading-aware chunker), minus markup that carries no text
+  const processMarkdown = async (file, streamProcessor, { onProgress, checkpoint }) => {
+    const raw = (await file.text()).replace(/\r\n?/g, '\n');
+    // Flat `key: value` pairs from YAML frontmatter
+    const frontmatter = {};
+    for (const [, key, value] of (raw.match(/^---\n([\s\S]*?)\n---\n/)?.[1] || '').matchAll(/^(\w+):\s*["']?(.*?)["']?\s*$/gm)) {
+      frontmatter[key.toLowerCase()] = value;
+    }
+    streamProcessor.setDocumentMetadata(normalizeDocumentMetadata({
+      title: frontmatter.title,
+      author: frontmatter.author || frontmatter.authors,
+      description: frontmatter.description,
+      language: frontmatter.lang || frontmatter.language,
+      published: frontmatter.date
+    }));
+
+    const text = raw
+      .replace(/^---\n[\s\S]*?\n---\n/, '') // YAML frontmatter
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+    streamProcessor.setUnpaged();
+    await processTextInSlices(text, streamProcessor, { onProgress, checkpoint });
+    return {};
+  };
+
+  const processPlainText = async (file, streamProcessor, { onProgress, checkpoint }) => {
+    streamProcessor.setUnpaged();
+    await processTextInSlices(await file.text(), streamProcessor, { onProgress, checkpoint });
+    return {};
+  };
+
+  // RFC 4180 fields: quoted values may contain delimiters, doubled quotes and newlines
+  const parseCSV = (text, delimiter) => {
+    const rows = [];
+    let row = [], field = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"' && field === "") quoted = true;
+      else if (ch === delimiter) { row.push(field); field = ""; }
+      else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field); rows.push(row); row = []; field = "";
+      } else field += ch;
+    }
+    if (field !== "" || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(v => v.trim()));
+  };
+
+  // One line per row as "column: value | column: value", so every chunk keeps its column names
+  const processCSV = async (file, streamProcessor, { onProgress, checkpoint }) => {
+    const text = (await file.text()).replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+    const delimiter = file.name.toLowerCase().endsWith('.tsv') ? '\t'
+      : [',', ';', '\t'].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+    const [header = [], ...rows] = parseCSV(text, delimiter);
+
+    streamProcessor.setUnpaged();
+    for (let i = 0; i < rows.length; i++) {
+      const line = rows[i]
+        .map((value, c) => value.trim() ? `${(header[c] || `column_${c + 1}`).trim()}: ${value.trim()}` : null)
+        .filter(Boolean)
+        .join(' | ');
+      streamProcessor.processText(line + '\n');
+      if (i % 1000 === 0) {
+        onProgress(Math.round(((i + 1) / rows.length) * 100));
+        await checkpoint();
+      }
+    }
+    onProgress(100);
+    return { rows: rows.length };
+  };
+
+  // --- EXTRACTOR REGISTRY ---
+  // extract(file, streamProcessor, { onProgress, checkpoint, options }) feeds text into the stream and
+  // resolves with extra fields for the file's dataset_summary.json record. It should await
+  // checkpoint() every so often (pause/cancel land there). `dom: true` extractors read markup through
+  // digestMarkup(), which needs DOMParser here or, in a Web Worker, a main thread to ask.
+
+  const EXTRACTORS = [];
+
+  const registerExtractor = (extractor) => {
+    EXTRACTORS.push({ mimeTypes: [], ...extractor, extensions: extractor.extensions.map(e => e.toLowerCase()) });
+  };
+
+  registerExtractor({ id: 'pdf', label: 'PDF', extensions: ['.pdf'], mimeTypes: ['application/pdf'], extract: processPDF });
+  registerExtractor({ id: 'epub', label: 'EPUB', extensions: ['.epub'], mimeTypes: ['application/epub+zip'], dom: true, extract: processEPUB });
+  registerExtractor({ id: 'docx', label: 'Word', extensions: ['.docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], dom: true, extract: processDOCX });
+  registerExtractor({ id: 'html', label: 'HTML', extensions: ['.html', '.htm', '.xhtml'], mimeTypes: ['text/html', 'application/xhtml+xml'], dom: true, extract: processHTML });
+  registerExtractor({ id: 'markdown', label: 'Markdown', extensions: ['.md', '.markdown'], mimeTypes: ['text/markdown', 'text/x-markdown'], extract: processMarkdown });
+  registerExtractor({ id: 'text', label: 'Plain Text', extensions: ['.txt'], mimeTypes: ['text/plain'], extract: processPlainText });
+  registerExtractor({ id: 'csv', label: 'CSV', extensions: ['.csv', '.tsv'], mimeTypes: ['text/csv', 'text/tab-separated-values'], extract: processCSV });
+
+  // Extension wins over MIME type: browsers often report "" or a generic type
+  const findExtractor = (file) => {
+    const name = (file.name || '').toLowerCase();
+    return EXTRACTORS.find(x => x.extensions.some(ext => name.endsWith(ext)))
+      || EXTRACTORS.find(x => file.type && x.mimeTypes.includes(file.type))
+      || null;
+  };
+
+  // --- EXTRACTION QUALITY ---
+  // Text metrics per file, and per page for PDFs, so scanned pages and broken font encodings are
+  // flagged instead of quietly turning into a near-empty dataset. Measured on the raw extracted text.
+
+  const QUALITY_THRESHOLDS = {
+    minCharsPerPage: 200, // average non-whitespace characters per PDF page; scanned books sit near 0
+    maxEmptyPageRatio: 0.25, // pages with no text or that failed to parse
+    maxGarbledRatio: 0.05 // replacement, control, private-use and unassigned characters
+  };
+
+  const GARBLED_CHARS = /[\uFFFD\p{Co}\p{Cn}\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/gu;
+
+  // Stopwords that rarely appear in the other listed languages
+  const LANGUAGE_STOPWORDS = Object.fromEntries(Object.entries({
+    en: 'the and of to is that it for was with this are be from which have not or',
+    pt: 'não uma com os dos das foi ao pelo pela também são seu sua isso muito ele nas nos',
+    es: 'el los las del pero más fue muy sus hay y también sin entre cuando porque este',
+    fr: 'le les des et est une du dans pour pas sur au avec ce qui sont par plus',
+    de: 'der die und den das ist nicht von zu mit sich auf für ein eine dem im auch werden',
+    it: 'di che della per non sono gli anche come più questo nel alla degli delle',
+    nl: 'het een van dat op te zijn voor met niet aan er ook als bij worden naar deze'
+  }).map(([lang, words]) => [lang, new Set(words.split(' '))]));
+
+  const LANGUAGE_SAMPLE_WORDS = 5000;
+
+  const round4 = (value) => Math.round(value * 10000) / 10000;
+
+  class QualityMeter {
+    constructor() {
+      this.pages = new Map(); // page -> { chars, garbled, chunks }
+      this.failed = []; // { page, error }
+      this.ocrPages = new Map(); // page -> OCR confidence (0-1)
+      this.chars = 0;
+      this.garbled = 0;
+      this.words = 0;
+      this.votes = {};
+    }
+
+    add(text, page = null) {
+      const chars = text.replace(/\s+/g, '').length;
+      const garbled = (text.match(GARBLED_CHARS) || []).length;
+      this.chars += chars;
+      this.garbled += garbled;
+      if (page !== null) {
+        const stats = this.pages.get(page) || { chars: 0, garbled: 0, chunks: 0 };
+        stats.chars += chars;
+        stats.garbled += garbled;
+        this.pages.set(page, stats);
+      }
+      if (this.words < LANGUAGE_SAMPLE_WORDS) {
+        for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+          if (this.words++ >= LANGUAGE_SAMPLE_WORDS) break;
+          for (const lang in LANGUAGE_STOPWORDS) {
+            if (LANGUAGE_STOPWORDS[lang].has(word)) this.votes[lang] = (this.votes[lang] || 0) + 1;
+          }
+        }
+      }
+    }
+
+    fail(page, error) {
+      this.failed.push({ page, error: String(error?.message || error) });
+    }
+
+    ocr(page, confidence) {
+      this.ocrPages.set(page, confidence);
+    }
+
+    chunk(page) {
+      const stats = this.pages.get(page);
+      if (stats) stats.chunks++;
+    }
+
+    // ISO 639-1 code, or null without a clear winner
+    language() {
+      const [best, second] = Object.entries(this.votes).sort((a, b) => b[1] - a[1]);
+      if (!best || best[1] < 10 || (second && best[1] < second[1] * 1.5)) return null;
+      return best[0];
+    }
+
+    report(chunks, paged) {
+      const report = {
+        chars: this.chars,
+        garbled_ratio: this.chars > 0 ? round4(this.garbled / this.chars) : 0,
+        language: this.language(),
+        chunks,
+        needs_ocr: false,
+        flags: []
+      };
+      if (this.chars === 0) report.flags.push('no_text');
+      if (report.garbled_ratio > QUALITY_THRESHOLDS.maxGarbledRatio) report.flags.push('garbled');
+      if (!paged) return report;
+
+      const details = [
+        ...[...this.pages].map(([page, s]) => ({
+          page, chars: s.chars, garbled_ratio: s.chars > 0 ? round4(s.garbled / s.chars) : 0, chunks: s.chunks,
+          status: s.chars === 0 ? 'empty' : this.ocrPages.has(page) ? 'ocr' : 'ok',
+          ...(this.ocrPages.has(page) ? { ocr_confidence: this.ocrPages.get(page) } : {})
+        })),
+        ...this.failed.map(({ page, error }) => ({ page, chars: 0, garbled_ratio: 0, chunks: 0, status: 'failed', error }))
+      ].sort((a, b) => a.page - b.page);
+      const empty = details.filter(p => p.status === 'empty').map(p => p.page);
+      const failed = details.filter(p => p.status === 'failed').map(p => p.page);
+      Object.assign(report, {
+        pages: details.length,
+        chars_per_page: details.length > 0 ? Math.round(this.chars / details.length) : 0,
+        empty_pages: empty,
+        failed_pages: failed,
+        details
+      });
+      if (this.ocrPages.size > 0) {
+        const confidences = [...this.ocrPages.values()];
+        report.ocr_pages = [...this.ocrPages.keys()].sort((a, b) => a - b);
+        report.ocr_confidence = Math.round(confidences.reduce((a, b) => a + b, 0) / confidences.length * 100) / 100;
+      }
+      if (details.length > 0 && (empty.length + failed.length) / details.length > QUALITY_THRESHOLDS.maxEmptyPageRatio) report.flags.push('empty_pages');
+      if (report.chars_per_page < QUALITY_THRESHOLDS.minCharsPerPage) report.flags.push('low_text');
+      // A text layer that is missing, thin or unreadable is what OCR fixes
+      report.needs_ocr = report.flags.length > 0;
+      return report;
+    }
+  }
+
+  // --- REDACTION ---
+  // Sensitive values are replaced in the normalized text before it is chunked, so chunk IDs, token counts,
+  // dedup, the BM25 index and every export only ever see the redacted text. Only counts are kept.
+  //   rule: { id, action } for a built-in detector, { id, action, pattern, flags } for a user regex
+
+  const REDACTION_ACTIONS = {
+    mask: 'Mask ([EMAIL])',
+    hash: 'Hash ([EMAIL:3f9a…])',
+    drop: 'Drop'
+  };
+
+  // Longest value a match may have and still be found when it straddles a page or segment boundary
+  const REDACTION_TAIL = 256;
+
+  // Pseudonyms are HMAC-SHA256 (RFC 2104) under the run's key, so they cannot be brute-forced back to
+  // 9-digit IDs without it. Synchronous because redaction runs inside the text stream; crypto.subtle is async.
+  const SHA256_K = Uint32Array.from([2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53, 59, 61, 67, 71, 73, 79, 83, 89, 97, 101, 103, 107, 109, 113, 127, 131, 137, 139, 149, 151, 157, 163, 167, 173, 179, 181, 191, 193, 197, 199, 211, 223, 227, 229, 233, 239, 241, 251, 257, 263, 269, 271, 277, 281, 283, 293, 307, 311],
+    p => (Math.cbrt(p) % 1) * 2 ** 32);
+  const SHA256_H = Uint32Array.from([2, 3, 5, 7, 11, 13, 17, 19], p => (Math.sqrt(p) % 1) * 2 ** 32);
+  const ror = (x, n) => (x >>> n) | (x << (32 - n));
+
+  const sha256 = (bytes) => {
+    const padded = new Uint8Array(((bytes.length + 72) >> 6) << 6);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(padded.length - 4, bytes.length * 8);
+    const h = Uint32Array.from(SHA256_H);
+    const w = new Uint32Array(64);
+    for (let block = 0; block < padded.length; block += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(block + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = ror(w[i - 15], 7) ^ ror(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = ror(w[i - 2], 17) ^ ror(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+      }
+      let [a, b, c, d, e, f, g, k] = h;
+      for (let i = 0; i < 64; i++) {
+        const t1 = (k + (ror(e, 6) ^ ror(e, 11) ^ ror(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+        const t2 = ((ror(a, 2) ^ ror(a, 13) ^ ror(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        k = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+    }
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    h.forEach((word, i) => outView.setUint32(i * 4, word));
+    return out;
+  };
+
+  // -> (message) => hex digest, with the padded key prepared once
+  const hmacSha256 = (key) => {
+    const encoder = new TextEncoder();
+    let keyBytes = encoder.encode(key);
+    if (keyBytes.length > 64) keyBytes = sha256(keyBytes);
+    const pad = (byte) => {
+      const block = new Uint8Array(64).fill(byte);
+      keyBytes.forEach((b, i) => { block[i] ^= b; });
+      return block;
+    };
+    const inner = pad(0x36);
+    const outer = pad(0x5c);
+    const concat = (head, tail) => {
+      const bytes = new Uint8Array(head.length + tail.length);
+      bytes.set(head);
+      bytes.set(tail, head.length);
+      return bytes;
+    };
+    return (message) => Array.from(sha256(concat(outer, sha256(concat(inner, encoder.encode(message))))), b => b.toString(16).padStart(2, '0')).join('');
+  };
+
+  const digitsOf = (value) => value.replace(/\D/g, '');
+
+  const luhnValid = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  };
+
+  // ISO 13616: country code and check digits moved to the end, letters as 10..35, mod 97 must be 1
+  const ibanValid = (value) => {
+    const iban = value.replace(/\s/g, '');
+    if (iban.length < 15 || iban.length > 34) return false;
+    let rest = 0;
+    for (const ch of iban.slice(4) + iban.slice(0, 4)) {
+      for (const d of /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55)) rest = (rest * 10 + Number(d)) % 97;
+    }
+    return rest === 1;
+  };
+
+  // Mod 11 check digit shared by CPF and CNPJ
+  const checkDigit = (digits, weights) => {
+    const rest = weights.reduce((sum, w, i) => sum + w * Number(digits[i]), 0) % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+  const repeatedDigit = (digits) => /^(\d)\1*$/.test(digits);
+
+  const cpfValid = (value) => {
+    const d = digitsOf(value);
+    return !repeatedDigit(d)
+      && Number(d[9]) === checkDigit(d, [10, 9, 8, 7, 6, 5, 4, 3, 2])
+      && Number(d[10]) === checkDigit(d, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  };
+
+  const cnpjValid = (value) => {
+    const d = digitsOf(value);
+    return !repeatedDigit(d)
+      && Number(d[12]) === checkDigit(d, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2])
+      && Number(d[13]) === checkDigit(d, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  };
+
+  // In priority order: a match is skipped if an earlier detector already claimed any of its characters.
+  // `key` normalizes a value before hashing, so "4111 1111…" and "4111-1111…" get the same pseudonym.
+  // Grouped numbers may wrap onto the next line or page; with `trim`, a match that fails its check
+  // ("DE89 3704 0044 0532 0130 00\nNOTE") falls back to its longest valid prefix.
+  const REDACTION_DETECTORS = {
+    email: {
+      label: 'Email addresses',
+      pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu,
+      key: (value) => value.toLowerCase()
+    },
+    iban: {
+      label: 'IBAN (mod-97 checked)',
+      pattern: /\b[A-Z]{2}\d{2}(?: ?\n?[A-Z0-9]{4}){2,7}(?: ?\n?[A-Z0-9]{1,3})?\b/g,
+      valid: ibanValid,
+      trim: true,
+      key: (value) => value.replace(/\s/g, '')
+    },
+    // A trailing "." or "/" is punctuation ("CPF: 529.982.247-25."), unless a digit follows it
+    cnpj: {
+      label: 'CNPJ',
+      pattern: /(?<!\d[./-]?)\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}(?![\d-]|[./]\d)/g,
+      valid: cnpjValid,
+      key: digitsOf
+    },
+    cpf: {
+      label: 'CPF',
+      pattern: /(?<!\d[./-]?)\d{3}\.?\d{3}\.?\d{3}-?\d{2}(?![\d-]|[./]\d)/g,
+      valid: cpfValid,
+      key: digitsOf
+    },
+    card: {
+      label: 'Card numbers (Luhn checked)',
+      pattern: /(?<![\d-])\d(?:(?:[ -]| ?\n)?\d){12,18}(?![\d-])/g,
+      valid: (value) => { const d = digitsOf(value); return !repeatedDigit(d) && luhnValid(d); },
+      trim: true,
+      key: digitsOf
+    },
+    ssn: {
+      label: 'US SSN (123-45-6789)',
+      pattern: /(?<![\d-])(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?![\d-])/g,
+      key: digitsOf
+    },
+    // Only shapes that are phone numbers: an international prefix (+55 11 91234-5678), a parenthesised
+    // area code ((11) 3456-7890), 555-123-4567, a 0-prefixed trunk number (020 7946 0958) or 11 91234-5678.
+    // Bare digit runs, grouped amounts ("12.500 13.400") and runs of years ("2019 2020 2021") do not qualify.
+    phone: {
+      label: 'Phone numbers',
+      pattern: /(?<![\w+]|\d[.-])(?:\+\d{1,3}(?:[ .-]?\(\d{1,4}\))?(?:[ .-]?\d{2,5}){2,5}|\(\d{1,4}\)[ .-]?\d{3,5}(?:[ .-]?\d{3,5}){0,2}|\d{3}([.-])\d{3}\1\d{4}|0\d{1,4}[ -]\d{3,4}[ -]?\d{3,4}|\d{2} 9?\d{4}-\d{4})(?![\w-]|[./]\d)/g,
+      valid: (value) => {
+        const count = digitsOf(value).length;
+        const groups = value.match(/\d+/g);
+        return count >= 9 && count <= 15 && !groups.every(g => /^(?:19|20)\d\d$/.test(g));
+      },
+      key: digitsOf
+    }
+  };
+
+  const compileRedactionRule = ({ id, action, pattern, flags = '' }) => {
+    if (!REDACTION_ACTIONS[action]) throw new Error(`Unknown redaction action "${action}" for rule "${id}". Expected one of: ${Object.keys(REDACTION_ACTIONS).join(', ')}.`);
+    if (pattern === undefined) {
+      const detector = REDACTION_DETECTORS[id];
+      if (!detector) throw new Error(`Unknown redaction detector "${id}". Expected one of: ${Object.keys(REDACTION_DETECTORS).join(', ')}.`);
+      const exact = detector.trim ? new RegExp(`^(?:${detector.pattern.source})$`, detector.pattern.flags.replace('g', '')) : null;
+      return { id, action, regex: detector.pattern, valid: detector.valid, exact, key: detector.key || ((value) => value) };
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`);
+    } catch (err) {
+      throw new Error(`Redaction rule "${id}": ${err.message}`);
+    }
+    return { id, action, regex, valid: null, exact: null, key: (value) => value };
+  };
+
+  // Checks a redaction config ({ rules }) and returns its rules, so bad ones fail before a run starts
+  const normalizeRedaction = (config) => {
+    const rules = config?.rules || [];
+    const ids = new Set();
+    for (const rule of rules) {
+      if (!/^[\w-]+$/.test(rule.id || '')) throw new Error(`Redaction rule IDs may only use letters, digits, "_" and "-" (got "${rule.id}")`);
+      if (ids.has(rule.id)) throw new Error(`Duplicate redaction rule "${rule.id}"`);
+      ids.add(rule.id);
+      compileRedactionRule(rule);
+    }
+    return rules;
+  };
+
+  // Maps an offset in the text a Redactor rendered from to the same place in its output.
+  // An offset inside a replaced value lands after the replacement.
+  const redactedOffset = (edits, offset) => {
+    let shift = 0;
+    for (const { start, end, length } of edits) {
+      if (offset <= start) break;
+      if (offset < end) return start + shift + length;
+      shift += length - (end - start);
+    }
+    return offset + shift;
+  };
+
+  // Built-in detectors run in priority order whatever order the config lists them in, then the user's rules.
+  // config: { rules, key } where `key` (HMAC key for the hash action) never leaves the run
+  class Redactor {
+    constructor(config) {
+      const rules = normalizeRedaction(config);
+      const order = Object.keys(REDACTION_DETECTORS);
+      this.rules = [
+        ...rules.filter(rule => rule.pattern === undefined).sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id)),
+        ...rules.filter(rule => rule.pattern !== undefined)
+      ].map(compileRedactionRule);
+      this.counts = Object.fromEntries(rules.map(rule => [rule.id, 0]));
+      if (this.rules.some(rule => rule.action === 'hash')) {
+        if (!config.key) throw new Error('The hash redaction action needs a key');
+        this.hmac = hmacSha256(config.key);
+      }
+    }
+
+    // Short fingerprint of a hash key, so a resumed run can tell the user typed the same one
+    static keyCheck(key) {
+      return hmacSha256(key)('ragnator\u0000key-check').slice(0, 16);
+    }
+
+    _replace(rule, value) {
+      if (rule.action === 'drop') return '';
+      const tag = rule.id.toUpperCase();
+      return rule.action === 'hash' ? `[${tag}:${this.hmac(`${rule.id}\u0000${rule.key(value)}`).slice(0, 16)}]` : `[${tag}]`;
+    }
+
+    _validPrefix(rule, value) {
+      const cuts = Array.from(value.matchAll(/[ \n-]+/g), m => m.index).reverse();
+      for (const cut of cuts) {
+        const prefix = value.slice(0, cut);
+        if (rule.exact.test(prefix) && rule.valid(prefix)) return prefix;
+      }
+      return null;
+    }
+
+    // Valid matches in `text`, sorted by start and never overlapping
+    find(text) {
+      const spans = [];
+      for (const rule of this.rules) {
+        rule.regex.lastIndex = 0;
+        for (const match of text.matchAll(rule.regex)) {
+          let value = match[0];
+          if (value && rule.valid && !rule.valid(value)) value = rule.exact ? this._validPrefix(rule, value) : null;
+          if (!value) continue;
+          const start = match.index;
+          const end = start + value.length;
+          let lo = 0;
+          let hi = spans.length;
+          while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (spans[mid].start < start) lo = mid + 1;
+            else hi = mid;
+          }
+          if ((lo > 0 && spans[lo - 1].end > start) || (lo < spans.length && spans[lo].start < end)) continue;
+          spans.splice(lo, 0, { start, end, rule, value });
+        }
+      }
+      return spans;
+    }
+
+    // `text` with `spans` (from find) replaced and counted; `edits` feed redactedOffset
+    render(text, spans) {
+      const edits = [];
+      let out = '';
+      let last = 0;
+      for (const { start, end, rule, value } of spans) {
+        const replacement = this._replace(rule, value);
+        out += text.slice(last, start) + replacement;
+        // A dropped value between two spaces leaves one
+        last = rule.action === 'drop' && out.endsWith(' ') && text[end] === ' ' ? end + 1 : end;
+        edits.push({ start, end: last, length: replacement.length });
+        this.counts[rule.id]++;
+      }
+      return { text: out + text.slice(last), edits };
+    }
+
+    apply(text) {
+      return this.render(text, this.find(text)).text;
+    }
+  }
+
+  // Internal state management class for the streaming process
+  class StreamProcessor {
+    constructor(filename, onChunkEmitted, chunker = CHUNKERS.fixed.create(CHUNKERS.fixed.defaults)) {
+      this.filename = filename;
+      this.chunker = chunker;
+      this.buffer = ""; 
+      this.bufferStart = 0; // Absolute offset of buffer[0] in the normalized source text
+      this.textLength = 0; // Total normalized characters received so far
+      this.lastPageSeen = 1; // Track page number
+      this.pageMarks = [{ page: 1, offset: 0 }]; // Where each page begins in the normalized text
+      this.chapterTitles = null; // Set for EPUBs: positions are chapters, not pages
+      this.paged = true; // False for formats without pages (DOCX, HTML, text)
+      this.documentMetadata = {}; // Title, author, date... read by the extractor
+      this.ocrPages = new Map(); // page -> OCR confidence, for pages read by OCR
+      this.redactor = null; // Set before extraction starts
+      this.pending = ""; // Normalized text not yet redacted into the buffer
+      this.pendingMarks = []; // Page starts inside `pending`: { page, at }
+      this.quality = new QualityMeter();
+      this.onChunkEmitted = onChunkEmitted;
+    }
+
+    processText(text) {
+      // Page markers close the text that precedes them: "...page text [PAGE_END:12]"
+      const parts = text.split(/\[PAGE_END:(\d+)\]/);
+
+      for (let i = 0; i < parts.length; i += 2) {
+        const marker = i + 1 < parts.length ? parseInt(parts[i + 1], 10) : null;
+        if (marker !== null) {
+          this._enterPage(marker);
+        }
+        this.quality.add(parts[i], this.chapterTitles ? null : marker);
+        this._append(parts[i]);
+      }
+
+      while (this.chunker.ready(this.buffer)) {
+        this._cutChunk();
+      }
+    }
+
+    // Page markers then carry 1-based chapter indexes
+    setChapters(titles) {
+      this.chapterTitles = this.redactor ? titles.map(t => t && this.redactor.apply(t)) : titles;
+    }
+
+    setRedactor(redactor) {
+      this.redactor = redactor;
+    }
+
+    setUnpaged() {
+      this.paged = false;
+    }
+
+    setDocumentMetadata(metadata) {
+      this.documentMetadata = metadata || {};
+      if (this.redactor) {
+        this.documentMetadata = Object.fromEntries(Object.entries(this.documentMetadata).map(([key, value]) => [key, typeof value === 'string' ? this.redactor.apply(value) : value]));
+      }
+    }
+
+    // Call before the page's text arrives
+    markOcrPage(page, confidence) {
+      this.ocrPages.set(page, confidence);
+      this.quality.ocr(page, confidence);
+    }
+
+    flush() {
+      this._commit(true);
+      while (this.buffer.length > 0 && !this.chunker.fits(this.buffer)) {
+        this._cutChunk();
+      }
+      this._cutChunk(true);
+    }
+
+    _enterPage(page) {
+      if (page === this.lastPageSeen) return;
+      this.pendingMarks.push({ page, at: this.pending.length });
+      this.lastPageSeen = page;
+    }
+
+    _markPage(page, offset) {
+      const last = this.pageMarks[this.pageMarks.length - 1];
+      if (last.offset === offset) {
+        // No text was attributed to the previous page yet, just relabel it
+        last.page = page;
+      } else {
+        this.pageMarks.push({ page, offset });
+      }
+    }
+
+    _append(segment) {
+      // Normalize logic (blank lines collapse to one paragraph break)
+      const cleanSegment = segment
+        .replace(/\r\n?/g, "\n")
+        .replace(/\n[ \t]*\n[\n \t]*/g, "\n\n")
+        .replace(/[ \t]+/g, ' ')
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F-\x9F]/g, "");
+      this.pending += cleanSegment;
+      this._commit(false);
+    }
+
+    // Moves pending text into the buffer, redacted. The redactor scans across segments (pages, rows):
+    // until the final commit the last REDACTION_TAIL characters, and any match reaching into them,
+    // wait for more text, so a value split by a page break is still caught.
+    _commit(final) {
+      let end = this.pending.length;
+      let text = this.pending;
+      let edits = [];
+      if (this.redactor) {
+        const spans = this.redactor.find(this.pending);
+        if (!final) {
+          end = Math.max(0, end - REDACTION_TAIL);
+          const open = spans.find(span => span.start < end && span.end > end);
+          if (open) end = open.start;
+        }
+        ({ text, edits } = this.redactor.render(this.pending.slice(0, end), spans.filter(span => span.end <= end)));
+      }
+
+      while (this.pendingMarks.length > 0 && this.pendingMarks[0].at <= end) {
+        const { page, at } = this.pendingMarks.shift();
+        this._markPage(page, this.textLength + redactedOffset(edits, at));
+      }
+      for (const mark of this.pendingMarks) mark.at -= end;
+      this.pending = this.pending.slice(end);
+
+      this.buffer += text;
+      this.textLength += text.length;
+    }
+
+    _pageAt(offset) {
+      let page = this.pageMarks[0].page;
+      for (const mark of this.pageMarks) {
+        if (mark.offset > offset) break;
+        page = mark.page;
+      }
+      return page;
+    }
+
+    _cutChunk(isFinal = false) {
+      if (this.buffer.length === 0) return;
+
+      const end = isFinal ? this.buffer.length : Math.min(this.buffer.length, Math.max(1, this.chunker.cut(this.buffer)));
+
+      const rawChunk = this.buffer.slice(0, end);
+      const chunkContent = rawChunk.trim();
+
+      if (chunkContent.length > 20) {
+        // Offsets point at the trimmed content, end is exclusive
+        const charStart = this.bufferStart + (rawChunk.length - rawChunk.trimStart().length);
+        const charEnd = charStart + chunkContent.length;
+        const first = this._pageAt(charStart);
+        const last = this._pageAt(charEnd - 1);
+        let position = {};
+        if (this.chapterTitles) position = { chapter: first, chapter_end: last, chapter_title: this.chapterTitles[first - 1] ?? null };
+        else if (this.paged) position = { page_start: first, page_end: last };
+        // Any OCR page in the span taints the chunk; report its least confident page
+        let ocr = {};
+        if (this.ocrPages.size > 0 && !this.chapterTitles) {
+          const confidences = [];
+          for (let page = first; page <= last; page++) {
+            if (this.ocrPages.has(page)) confidences.push(this.ocrPages.get(page));
+          }
+          if (confidences.length > 0) ocr = { extraction: 'ocr', ocr_confidence: Math.min(...confidences) };
+        }
+        this.onChunkEmitted(chunkContent, this.filename, { ...position, char_start: charStart, char_end: charEnd, ...ocr, document: this.documentMetadata });
+      }
+
+      if (isFinal) {
+        this.bufferStart += this.buffer.length;
+        this.buffer = "";
+      } else {
+        // Always advance, whatever overlap the chunker asks for
+        let keepFrom = this.chunker.overlapFrom(this.buffer, end);
+        if (keepFrom <= 0 || keepFrom > end) keepFrom = end;
+        this.buffer = this.buffer.slice(keepFrom);
+        this.bufferStart += keepFrom;
+      }
+
+      // Page marks behind the buffer are never looked up again
+      while (this.pageMarks.length > 1 && this.pageMarks[1].offset <= this.bufferStart) {
+        this.pageMarks.shift();
+      }
+    }
+  }
+
+  // --- FILE PIPELINE ---
+  // Files in a subfolder (CLI) keep their bare name as `source`, so chunk IDs match an upload's, and get `path` too
+  const sourcePath = (file) => file.webkitRelativePath && file.webkitRelativePath !== file.name ? { path: file.webkitRelativePath } : {};
+
+  // One file in, chunks out through onChunk({ text, meta }), manifest record back.
+  // `settings` must stay structured-cloneable: workers receive it as is.
+  const processFile = async (file, { settings, previous = null, countTokens = estimateTokens, onChunk, onProgress = () => {}, checkpoint = () => new Promise(r => setTimeout(r, 1)) }) => {
+    const record = { source: file.name, ...sourcePath(file), size_bytes: file.size, content_hash: null, status: 'processed', chunks: 0, tokens: 0, chunk_ids: [] };
+    record.content_hash = `sha256:${await sha256Hex(await file.arrayBuffer())}`;
+
+    if (settings.skipUnchanged && previous && previous.content_hash === record.content_hash && previous.status !== 'error') {
+      // Unchanged since the previous export: carry its chunk IDs forward
+      const { path, ...carried } = previous;
+      return { ...carried, ...sourcePath(file), status: 'unchanged' };
+    }
+
+    const extractor = findExtractor(file);
+    if (!extractor) throw new Error('Unsupported file type');
+    record.format = extractor.id;
+
+    const { strategy, params } = settings.chunking;
+    const stream = new StreamProcessor(file.name, (chunk, fname, span) => {
+      const id = chunkId(record.path || fname, span, chunk);
+      const tokens = countTokens(chunk);
+      record.chunk_ids.push(id);
+      record.chunks++;
+      record.tokens += tokens;
+      stream.quality.chunk(span.page_start);
+      onChunk({ text: chunk, meta: { ...span, id, tokens } });
+    }, CHUNKERS[strategy].create(params, countTokens));
+    if (settings.redaction) stream.setRedactor(new Redactor(settings.redaction));
+
+    Object.assign(record, await extractor.extract(file, stream, {
+      onProgress,
+      checkpoint,
+      options: { layout: settings.extraction.pdf === 'layout', stripBoilerplate: settings.extraction.strip_boilerplate, ocr: settings.extraction.ocr || null }
+    }));
+    record.document = stream.documentMetadata;
+    stream.flush();
+    record.quality = stream.quality.report(record.chunks, stream.paged && !stream.chapterTitles);
+    if (stream.redactor) record.redactions = stream.redactor.counts;
+    return record;
+  };
+
+  return {
+    ENCODINGS, CHUNKERS, PDF_EXTRACTION_MODES, EXTRACTORS, QUALITY_THRESHOLDS, REDACTION_DETECTORS, REDACTION_ACTIONS,
+    hashString, estimateTokens, registerTokenizer, getTokenizer, normalizeChunking, registerExtractor, findExtractor,
+    normalizeRedaction, configureOcr, releaseOcr, digestMarkup, StreamProcessor, Redactor, sourcePath, processFile
+  };
+
+};
+
+// Engine bound to the page (or Node global); the CLI builds its own with ragnatorEngine({ pdfjsLib, JSZip, DOMParser })
+export const {
+  ENCODINGS, CHUNKERS, PDF_EXTRACTION_MODES, EXTRACTORS, QUALITY_THRESHOLDS, REDACTION_DETECTORS, REDACTION_ACTIONS,
+  hashString, estimateTokens, registerTokenizer, getTokenizer, normalizeChunking, registerExtractor, findExtractor,
+  normalizeRedaction, configureOcr, releaseOcr, digestMarkup, Redactor, sourcePath, processFile
+} = ragnatorEngine(typeof window !== 'undefined' ? window : globalThis);
+
+// `source` is always the bare file name, as in an upload; the CLI adds `path` for files in subfolders.
+// Records match by path when both have one, otherwise by name, so the app and the CLI can share manifests.
+export const sourceMatcher = (sources = []) => {
+  const byPath = new Map();
+  const byName = new Map();
+  for (const s of sources) {
+    if (s.path) byPath.set(s.path, s);
+    if (!byName.has(s.source)) byName.set(s.source, s);
+  }
+  return ({ source, path }) => {
+    if (path && byPath.has(path)) return byPath.get(path);
+    const named = byName.get(source);
+    return named && !(path && named.path) ? named : null;
+  };
+};
+
+// Compares the per-source chunk IDs of the previous manifest against this run
+export const diffManifests = (previousSources, currentSources) => {
+  const diff = { added: [], changed: [], removed: [] };
+  const findPrevious = sourceMatcher(previousSources);
+  const matched = new Set(currentSources.map(findPrevious));
+
+  for (const current of currentSources) {
+    if (current.status !== 'processed') continue;
+    const prevIds = findPrevious(current)?.chunk_ids || [];
+    const prevSet = new Set(prevIds);
+    const newSet = new Set(current.chunk_ids);
+    const added = current.chunk_ids.filter(id => !prevSet.has(id));
+    const removed = prevIds.filter(id => !newSet.has(id));
+    const addedSet = new Set(added);
+    const removedSet = new Set(removed);
+
+    // A chunk rewritten in place (same ordinal in its file) counts as changed
+    const paired = Math.min(prevIds.length, current.chunk_ids.length);
+    for (let i = 0; i < paired; i++) {
+      const oldId = prevIds[i];
+      const newId = current.chunk_ids[i];
+      if (addedSet.has(newId) && removedSet.has(oldId)) {
+        diff.changed.push({ source: current.source, previous_id: oldId, id: newId });
+        addedSet.delete(newId);
+        removedSet.delete(oldId);
+      }
+    }
+    diff.added.push(...added.filter(id => addedSet.has(id)));
+    diff.removed.push(...removed.filter(id => removedSet.has(id)));
+  }
+
+  for (const previous of previousSources) {
+    if (!matched.has(previous)) diff.removed.push(...(previous.chunk_ids || []));
+  }
+  return diff;
+};
+
+// --- EXPORTERS ---
+// Every chunk leaves the pipeline as one canonical record (the NDJSON schema); exporters only reshape it.
+//   format(record, options) -> entry for one chunk
+// A bundle is header + entries.join(separator) + footer, unless the exporter brings its own
+// assemble(entries) / measure(entry, index) / overhead. `files: true` exporters assemble to [{ name, content }].
+const utf8 = new TextEncoder();
+const byteLength = (text) => utf8.encode(text).length;
+
+export const toChunkRecord = (text, filename, meta) => {
+  let position = {};
+  if (meta.chapter !== undefined) position = { chapter: meta.chapter, chapter_end: meta.chapter_end, chapter_title: meta.chapter_title };
+  else if (meta.page_start !== undefined) position = { page: meta.page_start, page_start: meta.page_start, page_end: meta.page_end };
+  return {
+    id: meta.id,
+    source: filename,
+    ...position,
+    char_start: meta.char_start,
+    char_end: meta.char_end,
+    ...(meta.extraction ? { extraction: meta.extraction, ocr_confidence: meta.ocr_confidence } : {}),
+    ...(meta.document && Object.keys(meta.document).length > 0 ? { document: meta.document } : {}),
+    ...(meta.duplicate_of ? { duplicate_of: meta.duplicate_of, duplicate_similarity: meta.duplicate_similarity } : {}),
+    content: text,
+    tokens: meta.tokens
+  };
+};
+
+// Flat and scalar-only (Chroma rejects nested or null metadata): position, offsets, tokens, then document fields
+export const chunkMetadata = (record) => {
+  const { content, page, document, ...fields } = record;
+  return Object.fromEntries(Object.entries({ ...fields, ...document }).filter(([, value]) => value !== undefined && value !== null));
+};
+
+// Qdrant point IDs must be integers or UUIDs: chunk ID hex + hash hex, stamped as a UUIDv8
+const chunkUuid = (id) => {
+  const hex = (id.replace(/^chunk_/, '') + hashString(id)).slice(0, 32).split('');
+  hex[12] = '8';
+  hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  const s = hex.join('');
+  return `${s.slice(0, 8)}-${s.slice(8, 12)}-${s.slice(12, 16)}-${s.slice(16, 20)}-${s.slice(20)}`;
+};
+
+const CSV_COLUMNS = ['id', 'source', 'page_start', 'page_end', 'chapter', 'chapter_end', 'chapter_title', 'char_start', 'char_end', 'extraction', 'ocr_confidence', 'tokens', 'title', 'author', 'year', 'content'];
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Strings as JSON-style double-quoted scalars, which YAML reads back unchanged
+const yamlValue = (value) => typeof value === 'string' ? JSON.stringify(value) : String(value);
+
+// User field mapping: "{{path}}" on its own keeps the value's type, inside longer text it is interpolated.
+// Paths reach any record field, `metadata` (the flat metadata) and nested fields such as document.title.
+const TEMPLATE_FIELD = /\{\{\s*([\w.]+)\s*\}\}/g;
+export const DEFAULT_EXPORT_TEMPLATE = {
+  id: '{{id}}',
+  text: '{{content}}',
+  metadata: {
+    source: '{{source}}',
+    page: '{{page_start}}',
+    title: '{{document.title}}'
+  }
+};
+
+const lookupPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+const renderTemplate = (template, record) => {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return lookupPath(record, whole[1]) ?? null;
+    return template.replace(TEMPLATE_FIELD, (_, path) => {
+      const value = lookupPath(record, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, record));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, record)]));
+  }
+  return template;
+};
+
+export const EXPORTERS = {};
+
+export const registerExporter = (spec) => {
+  EXPORTERS[spec.id] = { header: '', separator: '', footer: '', ...spec };
+};
+
+registerExporter({
+  id: 'txt', label: 'Standard TXT', extension: 'txt', folder: 'TEXT_CHUNKS',
+  format: (record) => {
+    // Classic Enriched Text
+    let position = "";
+    if (record.chapter !== undefined) {
+      position = record.chapter === record.chapter_end ? ` | Chapter=${record.chapter}` : ` | Chapters=${record.chapter}-${record.chapter_end}`;
+      if (record.chapter_title) position += ` | Title="${record.chapter_title}"`;
+    } else if (record.page_start !== undefined) {
+      position = record.page_start === record.page_end ? ` | Page=${record.page_start}` : ` | Pages=${record.page_start}-${record.page_end}`;
+    }
+    const doc = record.document || {};
+    const about = `${doc.title ? ` | DocTitle="${doc.title}"` : ""}${doc.author ? ` | Author="${doc.author}"` : ""}${doc.year ? ` | Year=${doc.year}` : ""}`;
+    const ocr = record.extraction === 'ocr' ? ` | OCR=${record.ocr_confidence}` : "";
+    const duplicate = record.duplicate_of ? ` | DuplicateOf=${record.duplicate_of}` : "";
+    return `[METADATA: Id=${record.id} | Source="${record.source}"${about}${position} | Chars=${record.char_start}-${record.char_end}${ocr}${duplicate}]\n---\n${record.content}\n---\n\n`;
+  }
+});
+
+// Enterprise NDJSON Schema (no timestamps: identical input => identical records)
+registerExporter({
+  id: 'ndjson', label: 'NDJSON (Perplexity)', extension: 'ndjson', folder: 'NDJSON',
+  format: (record) => JSON.stringify(record) + "\n"
+});
+
+// One serialized langchain_core Document per line: Document(**json.loads(line))
+registerExporter({
+  id: 'langchain', label: 'LangChain Documents (JSONL)', extension: 'jsonl', folder: 'LANGCHAIN',
+  format: (record) => JSON.stringify({ id: record.id, page_content: record.content, metadata: chunkMetadata(record), type: 'Document' }) + "\n"
+});
+
+// JSON array of TextNode dicts: [TextNode.from_dict(d) for d in json.load(f)]
+registerExporter({
+  id: 'llamaindex', label: 'LlamaIndex TextNodes (JSON)', extension: 'json', folder: 'LLAMAINDEX',
+  header: '[\n', separator: ',\n', footer: '\n]\n',
+  format: (record) => JSON.stringify({
+    id_: record.id,
+    text: record.content,
+    metadata: chunkMetadata(record),
+    // Bookkeeping fields stay out of the embedded and LLM-visible text
+    excluded_embed_metadata_keys: ['id', 'char_start', 'char_end', 'extraction', 'ocr_confidence', 'tokens'],
+    excluded_llm_metadata_keys: ['id', 'char_start', 'char_end', 'extraction', 'ocr_confidence', 'tokens'],
+    relationships: { 1: { node_id: record.source, node_type: '4', metadata: {}, class_name: 'RelatedNodeInfo' } },
+    start_char_idx: record.char_start,
+    end_char_idx: record.char_end,
+    class_name: 'TextNode'
+  })
+});
+
+// Body for PUT /collections/{name}/points once a `vector` is added to each point
+registerExporter({
+  id: 'qdrant', label: 'Qdrant Points (JSON)', extension: 'json', folder: 'QDRANT',
+  header: '{"points":[\n', separator: ',\n', footer: '\n]}\n',
+  format: (record) => JSON.stringify({ id: chunkUuid(record.id), payload: { ...chunkMetadata(record), text: record.content } })
+});
+
+// collection.upsert(**json.load(f)): Chroma embeds `documents` with the collection's embedding function
+registerExporter({
+  id: 'chroma', label: 'Chroma Upsert (JSON)', extension: 'json', folder: 'CHROMA',
+  format: (record) => [JSON.stringify(record.id), JSON.stringify(record.content), JSON.stringify(chunkMetadata(record))],
+  // Each part goes into its own array, after a comma unless it is the first
+  measure: (entry, index) => entry.reduce((sum, part) => sum + byteLength(part) + (index > 0 ? 1 : 0), 0),
+  overhead: byteLength('{"ids":[],"documents":[],"metadatas":[]}\n'),
+  assemble: (entries) => `{"ids":[${entries.map(e => e[0]).join(',')}],"documents":[${entries.map(e => e[1]).join(',')}],"metadatas":[${entries.map(e => e[2]).join(',')}]}\n`
+});
+
+registerExporter({
+  id: 'csv', label: 'CSV', extension: 'csv', folder: 'CSV',
+  header: CSV_COLUMNS.join(',') + '\r\n',
+  format: (record) => {
+    const fields = { ...chunkMetadata(record), content: record.content };
+    return CSV_COLUMNS.map(column => csvCell(fields[column])).join(',') + '\r\n';
+  }
+});
+
+// One file per chunk; each bundle becomes a folder
+registerExporter({
+  id: 'markdown', label: 'Markdown + YAML Frontmatter', extension: 'md', folder: 'MARKDOWN', files: true,
+  format: (record) => ({
+    name: `${record.id}.md`,
+    content: `---\n${Object.entries(chunkMetadata(record)).map(([key, value]) => `${key}: ${yamlValue(value)}`).join('\n')}\n---\n\n${record.content}\n`
+  }),
+  measure: (entry) => byteLength(entry.content),
+  overhead: 0,
+  assemble: (entries) => entries
+});
+
+registerExporter({
+  id: 'custom', label: 'Custom Template (JSONL)', extension: 'jsonl', folder: 'CUSTOM',
+  format: (record, { template = DEFAULT_EXPORT_TEMPLATE } = {}) => JSON.stringify(renderTemplate(template, { ...record, metadata: chunkMetadata(record) })) + "\n"
+});
+
+const exporterOverhead = (exporter) => exporter.overhead ?? byteLength(exporter.header + exporter.footer);
+const measureEntry = (exporter, entry, index) => exporter.measure
+  ? exporter.measure(entry, index)
+  : byteLength(entry) + (index > 0 ? byteLength(exporter.separator) : 0);
+const assembleBundle = (exporter, entries) => exporter.assemble
+  ? exporter.assemble(entries)
+  : exporter.header + entries.join(exporter.separator) + exporter.footer;
+
+// --- RETRIEVAL TEST BENCH ---
+// Lexical BM25 over the chunks of the current run, to sanity-check retrieval before uploading anything.
+// Accent- and case-folded word terms; the same folding must be applied to queries against the sidecar.
+export const searchTerms = (text) => (text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length > 1 || /\d/.test(term));
+
+const roundWeight = (value) => Math.round(value * 10000) / 10000;
+
+export class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = [];
+    this.lengths = [];
+    this.totalLength = 0;
+    this.postings = new Map(); // term -> { docs: [docIndex], tfs: [termFrequency] }
+  }
+
+  get size() {
+    return this.docs.length;
+  }
+
+  add(doc, text) {
+    const terms = searchTerms(text);
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+    const n = this.docs.length;
+    for (const [term, tf] of counts) {
+      let posting = this.postings.get(term);
+      if (!posting) { posting = { docs: [], tfs: [] }; this.postings.set(term, posting); }
+      posting.docs.push(n);
+      posting.tfs.push(tf);
+    }
+    this.docs.push(doc);
+    this.lengths.push(terms.length);
+    this.totalLength += terms.length;
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.docs.length || 0;
+    return Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  // Document-side BM25 weight (term-frequency saturation and length normalization, no IDF)
+  _weight(tf, length, avgLength) {
+    return (tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * length / avgLength));
+  }
+
+  search(query, limit = 10) {
+    if (this.docs.length === 0) return [];
+    const avgLength = this.totalLength / this.docs.length || 1;
+    const scores = new Map();
+    for (const term of new Set(searchTerms(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      const idf = this.idf(term);
+      for (let i = 0; i < posting.docs.length; i++) {
+        const d = posting.docs[i];
+        scores.set(d, (scores.get(d) || 0) + idf * this._weight(posting.tfs[i], this.lengths[d], avgLength));
+      }
+    }
+    return [...scores]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([d, score], i) => ({ ...this.docs[d], rank: i + 1, score: roundWeight(score) }));
+  }
+
+  // Sparse vectors for hybrid search: `values` are document-side weights, the query side is the
+  // IDF of each query term (or let the vector DB apply IDF, e.g. Qdrant's `modifier: "idf"`).
+  toSparseVectors() {
+    const avgLength = this.totalLength / this.docs.length || 1;
+    const vectors = this.docs.map(() => ({ indices: [], values: [] }));
+    const terms = {};
+    let index = 0;
+    for (const [term, posting] of this.postings) {
+      terms[term] = { index, df: posting.docs.length, idf: roundWeight(this.idf(term)) };
+      for (let i = 0; i < posting.docs.length; i++) {
+        const d = posting.docs[i];
+        vectors[d].indices.push(index);
+        vectors[d].values.push(roundWeight(this._weight(posting.tfs[i], this.lengths[d], avgLength)));
+      }
+      index++;
+    }
+    return {
+      vocabulary: { model: 'bm25', k1: this.k1, b: this.b, doc_count: this.docs.length, avg_doc_length: roundWeight(avgLength), terms },
+      vectors: this.docs.map((doc, d) => JSON.stringify({ id: doc.id, indices: vectors[d].indices, values: vectors[d].values }) + "\n").join('')
+    };
+  }
+}
+
+// A test passes when one of its expected sources shows up in the top `k` results. Tests that expect a
+// source this run did not index (skipped as unchanged) are skipped: the index only covers part of the dataset.
+export const runRetrievalTests = (index, tests, { unindexed = [] } = {}) => tests.map(test => {
+  const missing = test.expected.filter(source => unindexed.includes(source));
+  if (missing.length > 0) {
+    return { query: test.query, expected: test.expected, k: test.k, passed: null, skipped: true, not_indexed: missing, rank: null, top_sources: [] };
+  }
+  const results = index.search(test.query, test.k);
+  const hit = results.find(r => test.expected.includes(r.source));
+  return { query: test.query, expected: test.expected, k: test.k, passed: !!hit, rank: hit ? hit.rank : null, top_sources: results.map(r => r.source) };
+});
+
+// -> { type, message } for the log; no tests run is reported as such, never as a pass
+export const retrievalVerdict = (results) => {
+  const ran = results.filter(r => !r.skipped);
+  const passed = ran.filter(r => r.passed).length;
+  const skipped = results.length - ran.length;
+  const note = skipped > 0 ? ` (${skipped} skipped: expected sources not re-indexed in this incremental run)` : '';
+  if (ran.length === 0) return { type: 'INFO', message: `Retrieval check: no tests ran${note}.`, missed: 0 };
+  return {
+    type: passed === ran.length ? 'SUCCESS' : 'ERROR',
+    message: `Retrieval check: ${passed}/${ran.length} queries found an expected source in their top results${note}.`,
+    missed: ran.length - passed
+  };
+};
+
+export const positionLabel = (meta) => {
+  if (meta.chapter !== undefined) return `Ch. ${meta.chapter}${meta.chapter_end !== meta.chapter ? `-${meta.chapter_end}` : ''}${meta.chapter_title ? ` · ${meta.chapter_title}` : ''}`;
+  if (meta.page_start !== undefined) return meta.page_start === meta.page_end ? `p. ${meta.page_start}` : `pp. ${meta.page_start}-${meta.page_end}`;
+  return '';
+};
+
+// --- DEDUPLICATION ---
+// Exact duplicates by hash of the folded text, near duplicates by MinHash over 5-word shingles
+// (one-permutation hashing into 64 16-bit slots) with 16x4 LSH banding; candidates are confirmed
+// by estimated Jaccard similarity. Only first copies are indexed, so every cluster has one root.
+export const DEDUP_MODES = {
+  off: 'Off',
+  tag: 'Tag Only',
+  'keep-first': 'Keep First Copy',
+  drop: 'Drop Duplicate Docs'
+};
+const MINHASH_SLOTS = 64;
+const LSH_BANDS = 16;
+const SHINGLE_WORDS = 5;
+const MAX_CANDIDATES = 100;
+// Share of a file's chunks that must duplicate one earlier file for the file itself to count as a duplicate
+const DOCUMENT_DUPLICATE_RATIO = 0.8;
+
+const fmix32 = (h) => {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+};
+
+const hash32 = (str) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  return fmix32(h);
+};
+
+const minhashSignature = (words) => {
+  const signature = new Uint16Array(MINHASH_SLOTS).fill(0xffff);
+  const filled = new Uint8Array(MINHASH_SLOTS);
+  const count = Math.max(1, words.length - SHINGLE_WORDS + 1);
+  for (let i = 0; i < count; i++) {
+    const h = hash32(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    const slot = h & (MINHASH_SLOTS - 1);
+    const value = h >>> 16;
+    if (!filled[slot] || value < signature[slot]) { signature[slot] = value; filled[slot] = 1; }
+  }
+  // Short texts leave slots empty: borrow from the next filled slot (rotation densification)
+  for (let s = 0; s < MINHASH_SLOTS; s++) {
+    if (filled[s]) continue;
+    for (let j = 1; j < MINHASH_SLOTS; j++) {
+      const from = (s + j) % MINHASH_SLOTS;
+      if (filled[from]) { signature[s] = (signature[from] + j * 0x9e37) & 0xffff; break; }
+    }
+  }
+  return signature;
+};
+
+const bandKeys = (signature) => {
+  const rows = MINHASH_SLOTS / LSH_BANDS;
+  const keys = [];
+  for (let band = 0; band < LSH_BANDS; band++) {
+    let h = band;
+    for (let r = band * rows; r < (band + 1) * rows; r++) h = Math.imul(h ^ signature[r], 0x01000193);
+    keys.push(band * 0x100000000 + fmix32(h));
+  }
+  return keys;
+};
+
+const estimateJaccard = (a, b) => {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return same / a.length;
+};
+
+export class Deduplicator {
+  constructor({ mode = 'tag', threshold = 0.8 } = {}) {
+    this.mode = mode;
+    this.threshold = threshold;
+    this.exact = new Map();    // folded text hash -> entry
+    this.buckets = new Map();  // band key -> entry | [entries]
+    this.entries = [];         // first copies: { id, source, signature, key }
+    this.clusters = new Map(); // entry -> [{ id, source, similarity }]
+    this.documents = [];
+    this.stats = { chunks_seen: 0, exact_duplicates: 0, near_duplicates: 0, duplicate_tokens: 0, dropped_chunks: 0, dropped_documents: 0, saved_tokens: 0, saved_chars: 0 };
+  }
+
+  // -> { entry, duplicate: false } for a first copy (now indexed), { entry, duplicate: true, similarity } for a copy, null for text without words
+  inspect(id, source, text) {
+    const words = searchTerms(text);
+    if (words.length === 0) return null;
+    const key = hashString(words.join(' '));
+    const seen = this.exact.get(key);
+    if (seen !== undefined) return { entry: seen, duplicate: true, similarity: 1 };
+
+    const signature = minhashSignature(words);
+    const keys = bandKeys(signature);
+    const tried = new Set();
+    let best = null;
+    for (const band of keys) {
+      const hit = this.buckets.get(band);
+      if (hit === undefined) continue;
+      for (const candidate of Array.isArray(hit) ? hit : [hit]) {
+        if (tried.has(candidate) || !this.entries[candidate] || tried.size >= MAX_CANDIDATES) continue;
+        tried.add(candidate);
+        const similarity = estimateJaccard(signature, this.entries[candidate].signature);
+        if (similarity >= this.threshold && (!best || similarity > best.similarity)) best = { entry: candidate, duplicate: true, similarity };
+      }
+    }
+    if (best) return best;
+
+    const entry = this.entries.length;
+    this.entries.push({ id, source, signature, key });
+    this.exact.set(key, entry);
+    for (const band of keys) {
+      const hit = this.buckets.get(band);
+      if (hit === undefined) this.buckets.set(band, entry);
+      else if (Array.isArray(hit)) hit.push(entry);
+      else this.buckets.set(band, [hit, entry]);
+    }
+    return { entry, duplicate: false };
+  }
+
+  forget(entry) {
+    const { key, signature } = this.entries[entry];
+    this.exact.delete(key);
+    for (const band of bandKeys(signature)) {
+      const hit = this.buckets.get(band);
+      if (hit === entry) this.buckets.delete(band);
+      else if (Array.isArray(hit)) this.buckets.set(band, hit.filter(e => e !== entry));
+    }
+    this.entries[entry] = null;
+  }
+
+  // One file's chunks ({ text, meta }) in, the chunks to bundle out. `source` names the file as the report
+  // shows it: its relative path when it has one, so same-named files in different folders stay apart.
+  filter(source, chunks) {
+    const findings = chunks.map(chunk => this.inspect(chunk.meta.id, source, chunk.text));
+    this.stats.chunks_seen += chunks.length;
+
+    const shared = new Map();
+    for (const finding of findings) {
+      const from = finding?.duplicate && this.entries[finding.entry].source;
+      if (from && from !== source) shared.set(from, (shared.get(from) || 0) + 1);
+    }
+    const [original, count] = [...shared].sort((a, b) => b[1] - a[1])[0] || [];
+    const ratio = chunks.length > 0 ? (count || 0) / chunks.length : 0;
+    const document = ratio >= DOCUMENT_DUPLICATE_RATIO
+      ? { source, duplicate_of: original, shared_chunks: count, ratio: Math.round(ratio * 1000) / 1000, dropped: this.mode === 'drop' }
+      : null;
+    if (document) this.documents.push(document);
+
+    if (document?.dropped) {
+      findings.forEach(f => { if (f && !f.duplicate) this.forget(f.entry); });
+      this.stats.dropped_documents++;
+      this.stats.dropped_chunks += chunks.length;
+      for (const chunk of chunks) {
+        this.stats.saved_tokens += chunk.meta.tokens;
+        this.stats.saved_chars += chunk.text.length;
+      }
+      return { kept: [], document };
+    }
+
+    const kept = [];
+    chunks.forEach((chunk, i) => {
+      const finding = findings[i];
+      if (!finding?.duplicate) { kept.push(chunk); return; }
+      const root = this.entries[finding.entry];
+      const similarity = Math.round(finding.similarity * 1000) / 1000;
+      if (!this.clusters.has(finding.entry)) this.clusters.set(finding.entry, []);
+      this.clusters.get(finding.entry).push({ id: chunk.meta.id, source, similarity });
+      this.stats[similarity === 1 ? 'exact_duplicates' : 'near_duplicates']++;
+      this.stats.duplicate_tokens += chunk.meta.tokens;
+      if (this.mode === 'tag') {
+        kept.push({ text: chunk.text, meta: { ...chunk.meta, duplicate_of: root.id, duplicate_similarity: similarity } });
+      } else {
+        this.stats.dropped_chunks++;
+        this.stats.saved_tokens += chunk.meta.tokens;
+        this.stats.saved_chars += chunk.text.length;
+      }
+    });
+    return { kept, document };
+  }
+
+  report() {
+    return {
+      mode: this.mode,
+      method: 'minhash',
+      shingle_words: SHINGLE_WORDS,
+      permutations: MINHASH_SLOTS,
+      bands: LSH_BANDS,
+      threshold: this.threshold,
+      ...this.stats,
+      clusters: [...this.clusters].map(([entry, members]) => ({ id: this.entries[entry].id, source: this.entries[entry].source, members })),
+      documents: this.documents
+    };
+  }
+}
+
+// --- REDACTION RULES ---
+// User rules as text, one per line: `<id> <mask|hash|drop> <regex>` or `<id> <action> /<regex>/<flags>`.
+// Blank lines and lines starting with # are ignored.
+export const parseRedactionRules = (text) => {
+  const rules = [];
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) return;
+    const match = line.match(/^(\S+)\s+(\S+)\s+(.+)$/);
+    if (!match) throw new Error(`Redaction rule on line ${index + 1} needs an ID, an action and a pattern`);
+    const [, id, action, source] = match;
+    const literal = source.match(/^\/(.+)\/([a-z]*)$/);
+    rules.push({ id, action, pattern: literal ? literal[1] : source, flags: literal ? literal[2] : '' });
+  });
+  return rules;
+};
+
+// Rules in, { redaction, key } out. `redaction` ({ rules, hash_key }) is what the manifest records; the
+// Redactor gets { ...redaction, key }. The hash action's HMAC key is the user's, or a random one that
+// lives only as long as the run: the same key gives the same pseudonyms across runs. Never in the manifest.
+export const prepareRedaction = (rules, suppliedKey = '') => {
+  if (rules.length === 0) return { redaction: null, key: null };
+  const hashes = rules.some(rule => rule.action === 'hash');
+  const randomKey = () => Array.from(crypto.getRandomValues(new Uint8Array(32)), b => b.toString(16).padStart(2, '0')).join('');
+  return {
+    redaction: { rules: normalizeRedaction({ rules }), ...(hashes ? { hash_key: suppliedKey ? 'supplied' : 'per-run' } : {}) },
+    key: hashes ? suppliedKey || randomKey() : null
+  };
+};
+
+// Manifest audit: the rules that ran and how often each fired, per file and in total. Never the values.
+const redactionAudit = (config, sources) => {
+  const totals = Object.fromEntries(config.rules.map(rule => [rule.id, 0]));
+  for (const s of sources) {
+    for (const [id, count] of Object.entries(s.redactions || {})) totals[id] = (totals[id] || 0) + count;
+  }
+  return {
+    rules: config.rules,
+    ...(config.hash_key ? { hash_key: config.hash_key } : {}),
+    totals,
+    files_redacted: sources.filter(s => Object.values(s.redactions || {}).some(count => count > 0)).length
+  };
+};
+
+// --- QUALITY REPORT ---
+// The manifest keeps a per-source summary; page details go to quality_report.json
+
+const countOf = (value) => Array.isArray(value) ? value.length : value;
+
+const summarizeQuality = ({ details, empty_pages, failed_pages, ocr_pages, ...summary }) => (
+  empty_pages === undefined ? summary : {
+    ...summary,
+    empty_pages: countOf(empty_pages),
+    failed_pages: countOf(failed_pages),
+    ...(ocr_pages !== undefined ? { ocr_pages: countOf(ocr_pages) } : {})
+  }
+);
+
+const LOW_OCR_CONFIDENCE = 0.6;
+
+// Log lines for a freshly processed file, none when its text looks fine
+export const qualityWarnings = (source, quality) => {
+  if (!quality) return [];
+  const warnings = [];
+  const failed = quality.failed_pages || [];
+  if (failed.length > 0) {
+    warnings.push(`${source}: ${failed.length} page(s) could not be parsed (p. ${failed.slice(0, 10).join(', ')}${failed.length > 10 ? ', ...' : ''}).`);
+  }
+  if (quality.needs_ocr && countOf(quality.ocr_pages) > 0) {
+    warnings.push(`${source}: text still thin after OCR (${quality.flags.join(', ')}): ${quality.chars_per_page} chars/page, ${countOf(quality.empty_pages) + failed.length}/${quality.pages} pages without text.`);
+  } else if (quality.needs_ocr) {
+    warnings.push(`${source}: needs OCR (${quality.flags.join(', ')}): ${quality.chars_per_page} chars/page, ${countOf(quality.empty_pages) + failed.length}/${quality.pages} pages without text.`);
+  } else if (quality.flags.includes('no_text')) {
+    warnings.push(`${source}: no text extracted.`);
+  } else if (quality.flags.includes('garbled')) {
+    warnings.push(`${source}: ${(quality.garbled_ratio * 100).toFixed(1)}% garbled characters (broken font encoding?).`);
+  }
+  if (quality.ocr_confidence !== undefined && quality.ocr_confidence < LOW_OCR_CONFIDENCE) {
+    warnings.push(`${source}: low OCR confidence (${quality.ocr_confidence}) on ${countOf(quality.ocr_pages)} page(s): check the scan or the OCR languages.`);
+  }
+  return warnings;
+};
+
+export const qualityReport = (sources, createdAt) => {
+  const files = sources.map(s => ({ source: s.source, format: s.format ?? null, status: s.status, ...(s.quality || {}) }));
+  const measured = files.filter(f => f.chars !== undefined);
+  const languages = {};
+  for (const f of measured) {
+    if (f.language) languages[f.language] = (languages[f.language] || 0) + 1;
+  }
+  const total = (key) => measured.reduce((sum, f) => sum + (countOf(f[key]) || 0), 0);
+  return {
+    created_at: createdAt,
+    thresholds: QUALITY_THRESHOLDS,
+    summary: {
+      files: files.length,
+      measured: measured.length,
+      needs_ocr: measured.filter(f => f.needs_ocr).map(f => f.source),
+      pages: total('pages'),
+      empty_pages: total('empty_pages'),
+      failed_pages: total('failed_pages'),
+      ocr_pages: total('ocr_pages'),
+      languages
+    },
+    files
+  };
+};
+
+// --- DATASET ---
+// Everything after extraction: dedup, bundling under MAX_BUNDLE_SIZE, the BM25 index, the manifest and
+// the diff. The UI and the CLI both drive this class, so they write the same files. Add sources in queue order.
+export const GENERATED_BY = "Ragnator v3.2 Enterprise";
+
+// Skipping unchanged files is only safe when the previous export was extracted, redacted, chunked, counted and
+// deduplicated the same way: keep-first and drop leave filtered chunk_ids behind. Pseudonyms under a per-run key
+// never match an earlier run's.
+export const sameSettings = (previousManifest, { chunking, tokenizer, extraction, redaction = null }, deduplication = 'off') =>
+  JSON.stringify(previousManifest?.chunking) === JSON.stringify(chunking)
+  && (previousManifest?.deduplication?.mode || 'off') === deduplication
+  && JSON.stringify(previousManifest?.redaction?.rules || null) === JSON.stringify(redaction?.rules || null)
+  && (previousManifest?.redaction?.hash_key || null) === (redaction?.hash_key || null)
+  && redaction?.hash_key !== 'per-run'
+  && (previousManifest?.tokenizer?.encoding || 'estimate') === tokenizer.encoding
+  && JSON.stringify(previousManifest?.extraction || { pdf: 'simple', strip_boilerplate: false }) === JSON.stringify(extraction);
+
+export class DatasetBuilder {
+  // `sink` ({ write(path, content) }) receives each bundle as it seals; without one bundles stay in memory
+  constructor({ format = 'txt', exportOptions = {}, deduplication = 'tag', settings = {}, previousManifest = null, sink = null, onSeal = () => {}, onLog = () => {} } = {}) {
+    this.exporter = EXPORTERS[format];
+    if (!this.exporter) throw new Error(`Unknown export format "${format}"`);
+    this.format = format;
+    this.exportOptions = exportOptions;
+    this.settings = settings; // { chunking, tokenizer, extraction, redaction }
+    this.previousManifest = previousManifest;
+    this.deduplicator = deduplication === 'off' ? null : new Deduplicator({ mode: deduplication });
+    this.searchIndex = new Bm25Index();
+    this.sink = sink;
+    this.writes = Promise.resolve();
+    this.onSeal = onSeal;
+    this.onLog = onLog;
+    this.bundles = [];
+    this.sources = [];
+    this.diff = null;
+    this.current = this._openBundle(1);
+  }
+
+  _openBundle(id) {
+    return { id, entries: [], size: exporterOverhead(this.exporter), chunkCount: 0, tokens: 0 };
+  }
+
+  _seal() {
+    const base = `RAGNATOR_PART_${String(this.current.id).padStart(3, '0')}`;
+    const assembled = assembleBundle(this.exporter, this.current.entries);
+    const bundle = {
+      name: this.exporter.files ? base : `${base}.${this.exporter.extension}`,
+      ...(this.exporter.files ? { files: assembled } : { content: assembled }),
+      chunks: this.current.chunkCount,
+      tokens: this.current.tokens,
+      size: this.current.size
+    };
+    this.bundles.push(bundle);
+    if (this.sink) {
+      // Written in seal order; the content is dropped once the sink has it
+      this.writes = this.writes.then(async () => {
+        for (const f of this._bundleFiles(bundle)) await this.sink.write(f.path, f.content);
+        bundle.written = true;
+        delete bundle.content;
+        delete bundle.files;
+      }).catch(err => {
+        this.onLog('ERROR', `${bundle.name} not written (${err.message}): kept in memory and saved with the manifest.`);
+      });
+    }
+    this.onSeal(this.bundles);
+  }
+
+  _bundleFiles(b) {
+    return b.files
+      ? b.files.map(f => ({ path: `${this.exporter.folder}/${b.name}/${f.name}`, content: f.content }))
+      : [{ path: `${this.exporter.folder}/${b.name}`, content: b.content }];
+  }
+
+  _append(text, source, meta) {
+    const entry = this.exporter.format(toChunkRecord(text, source, meta), this.exportOptions);
+    if (this.current.chunkCount > 0 && this.current.size + measureEntry(this.exporter, entry, this.current.chunkCount) > MAX_BUNDLE_SIZE) {
+      this._seal();
+      this.onLog('SYSTEM', `📦 Bundle #${this.current.id} Sealed (${(this.current.size/1024/1024).toFixed(2)}MB, ${this.current.tokens} tokens).`);
+      this.current = this._openBundle(this.current.id + 1);
+    }
+    this.current.entries.push(entry);
+    this.current.size += measureEntry(this.exporter, entry, this.current.chunkCount);
+    this.current.chunkCount++;
+    this.current.tokens += meta.tokens;
+  }
+
+  // A processFile() record with its chunks ({ text, meta }), or an 'unchanged' record without any
+  addSource(record, chunks = []) {
+    if (record.status !== 'processed') {
+      this.sources.push(record);
+      return record;
+    }
+    let kept = chunks;
+    if (this.deduplicator) {
+      const { kept: unique, document } = this.deduplicator.filter(record.path || record.source, chunks);
+      kept = unique;
+      if (document) {
+        record.duplicate_of = document.duplicate_of;
+        this.onLog('INFO', `${record.path || record.source}: ${Math.round(document.ratio * 100)}% of chunks duplicate ${document.duplicate_of}${document.dropped ? ' (file dropped)' : ''}.`);
+      }
+      if (kept.length < chunks.length) {
+        // The manifest lists what was bundled, so incremental diffs stay in step with the dataset
+        const keptIds = new Set(kept.map(c => c.meta.id));
+        record.chunk_ids = record.chunk_ids.filter(id => keptIds.has(id));
+        record.duplicates_dropped = chunks.length - kept.length;
+        record.chunks = kept.length;
+        record.tokens = kept.reduce((sum, c) => sum + c.meta.tokens, 0);
+      }
+    }
+    this.sources.push(record);
+    for (const chunk of kept) {
+      this._append(chunk.text, record.source, chunk.meta);
+      this.searchIndex.add({ id: chunk.meta.id, source: record.source, position: positionLabel(chunk.meta), preview: chunk.text.slice(0, 280) }, chunk.text);
+    }
+    return record;
+  }
+
+  // Where the open bundle stands, checkpointed after every file so a resumed run can check its replay
+  checkpoint() {
+    const { id, size, chunkCount, tokens } = this.current;
+    return { sealed: this.bundles.length, current: { id, size, chunkCount, tokens } };
+  }
+
+  // Resolves once every sealed bundle has reached the sink; awaiting it between files keeps memory bounded
+  flush() {
+    return this.writes;
+  }
+
+  // Sources in the dataset whose chunks this run did not index: skipped as unchanged
+  unindexedSources() {
+    return this.sources.filter(s => s.status === 'unchanged').map(s => s.source);
+  }
+
+  // Keep the previous record so a failed file is not reported as removed
+  addError(file, previous = null) {
+    const record = previous || { source: file.name, ...sourcePath(file), size_bytes: file.size, content_hash: null, status: 'error', chunks: 0, tokens: 0, chunk_ids: [] };
+    this.sources.push(record);
+    return record;
+  }
+
+  // Seals the last bundle; `compare: false` (cancelled runs) skips the diff against the previous manifest
+  finish({ compare = true } = {}) {
+    if (this.current.chunkCount > 0) {
+      this._seal();
+      this.current = this._openBundle(this.current.id + 1);
+    }
+
+    if (this.deduplicator) {
+      const { exact_duplicates, near_duplicates, dropped_chunks, saved_tokens, duplicate_tokens } = this.deduplicator.stats;
+      this.onLog('SYSTEM', `Dedup: ${exact_duplicates} exact + ${near_duplicates} near-duplicate chunks (${duplicate_tokens} tokens)${dropped_chunks > 0 ? `, dropped ${dropped_chunks} chunks / ${saved_tokens} tokens` : ''}.`);
+    }
+
+    if (compare && this.previousManifest) {
+      this.diff = diffManifests(this.previousManifest.sources, this.sources);
+      const { added, changed, removed } = this.diff;
+      this.onLog('SYSTEM', `Diff vs previous export: +${added.length} added, ~${changed.length} changed, -${removed.length} removed.`);
+    }
+    return this;
+  }
+
+  // dataset_summary.json without the retrieval section (that one needs the sidecar built)
+  manifest({ createdAt = new Date().toISOString() } = {}) {
+    // Metadata Manifest
+    const manifest = {
+      dataset_name: "RAGNATOR_EXPORT",
+      created_at: createdAt,
+      format: this.format,
+      total_files: this.bundles.length,
+      total_size_bytes: this.bundles.reduce((acc, b) => acc + b.size, 0),
+      total_chunks_approx: this.bundles.reduce((acc, b) => acc + (b.chunks || 0), 0),
+      total_tokens: this.bundles.reduce((acc, b) => acc + (b.tokens || 0), 0),
+      generated_by: GENERATED_BY,
+      chunking: this.settings.chunking,
+      tokenizer: this.settings.tokenizer,
+      extraction: this.settings.extraction,
+      export: { format: this.format, ...this.exportOptions },
+      ...(this.deduplicator ? { deduplication: this.deduplicator.report() } : {}),
+      ...(this.settings.redaction ? { redaction: redactionAudit(this.settings.redaction, this.sources) } : {}),
+      bundles: this.bundles.map(b => ({ name: b.name, chunks: b.chunks, tokens: b.tokens, size_bytes: b.size })),
+      quality: { needs_ocr: this.sources.filter(s => s.quality?.needs_ocr).map(s => s.source) },
+      sources: this.sources.map(s => s.quality ? { ...s, quality: summarizeQuality(s.quality) } : s)
+    };
+
+    if (this.diff) {
+      const { added, changed, removed } = this.diff;
+      manifest.incremental = {
+        previous_created_at: this.previousManifest?.created_at || null,
+        skipped_sources: this.sources.filter(s => s.status === 'unchanged').length,
+        added: added.length,
+        changed: changed.length,
+        removed: removed.length
+      };
+    }
+    return manifest;
+  }
+
+  // Dataset files as [{ path, content }], relative to the dataset root folder. Bundles the sink
+  // already has are left out; the manifest still lists every bundle.
+  files({ createdAt = new Date().toISOString(), tests = [] } = {}) {
+    const files = [];
+    for (const b of this.bundles) {
+      if (!b.written) files.push(...this._bundleFiles(b));
+    }
+    const manifest = this.manifest({ createdAt });
+    if (this.diff) files.push({ path: "dataset_diff.json", content: JSON.stringify(this.diff, null, 2) });
+    if (this.sources.length > 0) files.push({ path: "quality_report.json", content: JSON.stringify(qualityReport(this.sources, createdAt), null, 2) });
+
+    if (this.searchIndex.size > 0 || tests.length > 0) {
+      // Sparse-vector sidecar for hybrid search, aligned with the chunk IDs above
+      const { vocabulary, vectors } = this.searchIndex.toSparseVectors();
+      if (this.searchIndex.size > 0) {
+        files.push({ path: "BM25/sparse_vectors.ndjson", content: vectors });
+        files.push({ path: "BM25/vocabulary.json", content: JSON.stringify(vocabulary) });
+      }
+      const results = runRetrievalTests(this.searchIndex, tests, { unindexed: this.unindexedSources() });
+      manifest.retrieval = {
+        index: 'bm25',
+        chunks_indexed: this.searchIndex.size,
+        vocabulary_size: Object.keys(vocabulary.terms).length,
+        tests: results.length,
+        tests_passed: results.filter(r => r.passed).length,
+        tests_skipped: results.filter(r => r.skipped).length
+      };
+      if (results.length > 0) files.push({ path: "retrieval_tests.json", content: JSON.stringify({ tests: results }, null, 2) });
+    }
+
+    files.push({ path: "dataset_summary.json", content: JSON.stringify(manifest, null, 2) });
+    return files;
+  }
+}
+
+// --- OUTPUT SINKS ---
+// Sealed bundles leave memory as soon as they seal: written into a folder the user picked
+// (File System Access API) or streamed into a ZIP. Sizes come from the bundles' byte counts.
+
+export const datasetRoot = (createdAt) => `RAGNATOR_DATASET_${createdAt.slice(0, 10)}`;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Raw deflate from the platform's CompressionStream; entries are stored uncompressed where it is missing
+const deflateRaw = async (data) => {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  } catch {
+    return null;
+  }
+};
+
+// Minimal streaming ZIP: each add() emits a local header and the data through `write(bytes)`,
+// close() emits the central directory. Only the entry list is kept.
+export class ZipWriter {
+  constructor(write, date = new Date()) {
+    this.write = write;
+    this.entries = [];
+    this.offset = 0;
+    this.queue = Promise.resolve();
+    this.time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    this.date = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  }
+
+  add(path, content) {
+    this.queue = this.queue.then(async () => {
+      const data = typeof content === 'string' ? utf8.encode(content) : content;
+      const deflated = await deflateRaw(data);
+      const body = deflated && deflated.length < data.length ? deflated : data;
+      const name = utf8.encode(path);
+      const entry = { name, crc: crc32(data), size: data.length, compressedSize: body.length, method: body === data ? 0 : 8, offset: this.offset };
+      if (entry.offset + 30 + name.length + body.length > 0xFFFFFFFF) throw new Error('ZIP would pass 4GB: write to a folder instead');
+      // No Zip64 records, so the end-of-central-directory entry counts stop at 16 bits
+      if (this.entries.length >= 0xFFFF) throw new Error('ZIP would pass 65535 files: write to a folder instead');
+
+      const header = new Uint8Array(30 + name.length);
+      const view = new DataView(header.buffer);
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 0x0800, true); // UTF-8 names
+      view.setUint16(8, entry.method, true);
+      view.setUint16(10, this.time, true);
+      view.setUint16(12, this.date, true);
+      view.setUint32(14, entry.crc, true);
+      view.setUint32(18, entry.compressedSize, true);
+      view.setUint32(22, entry.size, true);
+      view.setUint16(26, name.length, true);
+      header.set(name, 30);
+      await this.write(header);
+      await this.write(body);
+      this.offset += header.length + body.length;
+      this.entries.push(entry);
+    });
+    return this.queue;
+  }
+
+  close() {
+    this.queue = this.queue.then(async () => {
+      const size = this.entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+      const directory = new Uint8Array(size + 22);
+      const view = new DataView(directory.buffer);
+      let at = 0;
+      for (const e of this.entries) {
+        view.setUint32(at, 0x02014b50, true);
+        view.setUint16(at + 4, 20, true);
+        view.setUint16(at + 6, 20, true);
+        view.setUint16(at + 8, 0x0800, true);
+        view.setUint16(at + 10, e.method, true);
+        view.setUint16(at + 12, this.time, true);
+        view.setUint16(at + 14, this.date, true);
+        view.setUint32(at + 16, e.crc, true);
+        view.setUint32(at + 20, e.compressedSize, true);
+        view.setUint32(at + 24, e.size, true);
+        view.setUint16(at + 28, e.name.length, true);
+        view.setUint32(at + 42, e.offset, true);
+        directory.set(e.name, at + 46);
+        at += 46 + e.name.length;
+      }
+      view.setUint32(at, 0x06054b50, true);
+      view.setUint16(at + 8, this.entries.length, true);
+      view.setUint16(at + 10, this.entries.length, true);
+      view.setUint32(at + 12, size, true);
+      view.setUint32(at + 16, this.offset, true);
+      await this.write(directory);
+    });
+    return this.queue;
+  }
+
+  // A writer that carries on from this one into another output, leaving this one open
+  async fork(write) {
+    await this.queue;
+    const copy = new ZipWriter(write);
+    Object.assign(copy, { entries: [...this.entries], offset: this.offset, time: this.time, date: this.date });
+    return copy;
+  }
+}
+
+// File System Access API: files land under the picked directory, subfolders created as needed
+export const directorySink = (dirHandle, label = dirHandle.name) => ({
+  label,
+  write: async (path, content) => {
+    const parts = path.split('/');
+    let dir = dirHandle;
+    for (const part of parts.slice(0, -1)) dir = await dir.getDirectoryHandle(part, { create: true });
+    const writable = await (await dir.getFileHandle(parts[parts.length - 1], { create: true })).createWritable();
+    await writable.write(content);
+    await writable.close();
+  }
+});
+
+// Bundles become Blob parts as they seal (browsers page large Blobs out to disk). toBlob(files) adds
+// the remaining files and the central directory on a fork, so it can run again with a newer manifest.
+export const zipSink = (root) => {
+  const parts = [];
+  const zip = new ZipWriter(bytes => { parts.push(new Blob([bytes])); });
+  return {
+    label: 'ZIP',
+    write: (path, content) => zip.add(`${root}/${path}`, content),
+    toBlob: async (files = []) => {
+      const tail = [];
+      const rest = await zip.fork(bytes => { tail.push(new Blob([bytes])); });
+      for (const f of files) await rest.add(`${root}/${f.path}`, f.content);
+      await rest.close();
+      return new Blob([...parts, ...tail], { type: 'application/zip' });
+    }
+  };
+};
+
+export const datasetZipName = (format) => `RAGNATOR_${format.toUpperCase()}_DATASET.zip`;
+
+// --- JOB STORE ---
+// Crash-safe runs in IndexedDB. `jobs` holds one row per run (settings, per-file status, open bundle
+// state, and the manifest once it ends); `checkpoints` holds each committed file's record and chunks,
+// keyed [jobId, index], so a reloaded tab can replay them instead of re-extracting; `previous` holds
+// the manifest an incremental run compares against. Checkpoints are dropped when the run ends.
+
+const JOB_DB_NAME = 'ragnator';
+const JOB_HISTORY_LIMIT = 20;
+
+const idbRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const idbDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+export class JobStore {
+  static async open(factory = globalThis.indexedDB) {
+    if (!factory) throw new Error('IndexedDB is not available');
+    const request = factory.open(JOB_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('jobs', { keyPath: 'id' });
+      db.createObjectStore('checkpoints');
+      db.createObjectStore('previous');
+    };
+    return new JobStore(await idbRequest(request));
+  }
+
+  constructor(db) {
+    this.db = db;
+  }
+
+  _checkpointRange(jobId) {
+    return IDBKeyRange.bound([jobId, 0], [jobId, Infinity]);
+  }
+
+  // Newest first
+  async list() {
+    const jobs = await idbRequest(this.db.transaction('jobs').objectStore('jobs').getAll());
+    return jobs.sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  }
+
+  async start(job, previousManifest = null) {
+    const tx = this.db.transaction(['jobs', 'previous'], 'readwrite');
+    tx.objectStore('jobs').put(job);
+    if (previousManifest) tx.objectStore('previous').put(previousManifest, job.id);
+    await idbDone(tx);
+  }
+
+  // The file's checkpoint and the job row move together, so a crash never leaves them out of step
+  async commit(job, index, entry) {
+    const tx = this.db.transaction(['jobs', 'checkpoints'], 'readwrite');
+    tx.objectStore('checkpoints').put(entry, [job.id, index]);
+    tx.objectStore('jobs').put(job);
+    await idbDone(tx);
+  }
+
+  load(jobId, index) {
+    return idbRequest(this.db.transaction('checkpoints').objectStore('checkpoints').get([jobId, index]));
+  }
+
+  async previous(jobId) {
+    return (await idbRequest(this.db.transaction('previous').objectStore('previous').get(jobId))) || null;
+  }
+
+  // Keeps the job (and its manifest) in the history, drops what was only needed to resume it
+  async finish(job) {
+    const tx = this.db.transaction(['jobs', 'checkpoints', 'previous'], 'readwrite');
+    tx.objectStore('jobs').put(job);
+    tx.objectStore('checkpoints').delete(this._checkpointRange(job.id));
+    tx.objectStore('previous').delete(job.id);
+    await idbDone(tx);
+    const stale = (await this.list()).filter(j => j.status !== 'running').slice(JOB_HISTORY_LIMIT);
+    for (const j of stale) await this.remove(j.id);
+  }
+
+  async remove(jobId) {
+    const tx = this.db.transaction(['jobs', 'checkpoints', 'previous'], 'readwrite');
+    tx.objectStore('jobs').delete(jobId);
+    tx.objectStore('checkpoints').delete(this._checkpointRange(jobId));
+    tx.objectStore('previous').delete(jobId);
+    await idbDone(tx);
+  }
+}
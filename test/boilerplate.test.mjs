@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import pdfjsWorker from 'pdfjs-dist/legacy/build/pdf.worker.js';
+import { ragnatorEngine, CHUNKERS } from '../ragnator-core.mjs';
+
+// pdf.js finds its parser here and runs it in-thread, as the CLI does
+globalThis.pdfjsWorker = pdfjsWorker;
+const engine = ragnatorEngine({ pdfjsLib: pdfjs });
+
+// Minimal PDF: one Helvetica line per { y, text }, ASCII only
+const makePdf = (pages) => {
+  const objects = [
+    null,
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  for (const lines of pages) {
+    const content = lines.map(({ y, text }) => `BT /F1 11 Tf 72 ${y} Td (${text}) Tj ET`).join('\n');
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length + 1} 0 R >>`);
+    objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+  }
+  let out = '%PDF-1.4\n';
+  const offsets = [];
+  for (let n = 1; n < objects.length; n++) {
+    offsets.push(out.length);
+    out += `${n} 0 obj\n${objects[n]}\nendobj\n`;
+  }
+  const xref = out.length;
+  out += `xref\n0 ${objects.length}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  const data = new TextEncoder().encode(out);
+  return { name: 'book.pdf', size: data.length, type: 'application/pdf', arrayBuffer: async () => data.buffer.slice(0) };
+};
+
+const NAMES = ['alder', 'birch', 'cedar', 'dogwood', 'elm', 'fir', 'ginkgo', 'hazel', 'ivy', 'juniper', 'kauri', 'larch', 'maple', 'nutmeg', 'oak', 'pine', 'quince', 'rowan', 'spruce', 'teak',
+  'ulmus', 'viburnum', 'walnut', 'xylosma', 'yew', 'zelkova', 'acacia', 'banyan', 'cypress', 'date'];
+
+// `count` pages of distinct body text (no digits, which edge lines ignore), plus whatever `extra(page)` adds
+const book = (count, extra = () => []) => makePdf(Array.from({ length: count }, (_, i) => [
+  ...['First', 'Second', 'Third', 'Last'].map((nth, l) => ({ y: 620 - l * 20, text: `${nth} line of the ${NAMES[i]} page tells its own story.` })),
+  ...extra(i + 1)
+]));
+
+const extract = async (file, strip = true) => {
+  const chunks = [];
+  const record = await engine.processFile(file, {
+    settings: { chunking: { strategy: 'fixed', params: { ...CHUNKERS.fixed.defaults, size: 20000, overlap: 0 } }, extraction: { pdf: 'layout', strip_boilerplate: strip } },
+    onChunk: c => chunks.push(c.text),
+    checkpoint: async () => {}
+  });
+  return { record, text: chunks.join('\n') };
+};
+
+const occurrences = (text, pattern) => (text.match(pattern) || []).length;
+
+test('running heads and page numbers repeated at the page edges are stripped', async () => {
+  const { record, text } = await extract(book(20, page => [{ y: 750, text: 'The Ledger Book' }, { y: 40, text: `Page ${page}` }]));
+  assert.equal(occurrences(text, /The Ledger Book/g), 0);
+  assert.equal(occurrences(text, /Page \d+\b/g), 0);
+  assert.equal(occurrences(text, /line of the/g), 80);
+  assert.equal(record.removed_lines, 40);
+});
+
+test('an exact line at an edge needs three pages', async () => {
+  const twice = await extract(book(20, page => page <= 2 ? [{ y: 750, text: 'Chapter One' }] : []));
+  assert.equal(occurrences(twice.text, /Chapter One/g), 2);
+  const thrice = await extract(book(20, page => page <= 3 ? [{ y: 750, text: 'Chapter One' }] : []));
+  assert.equal(occurrences(thrice.text, /Chapter One/g), 0);
+});
+
+test('a running head that starts late is caught by a later window', async () => {
+  const { text } = await extract(book(30, page => page > 20 ? [{ y: 750, text: 'Appendix' }] : []));
+  assert.equal(occurrences(text, /Appendix/g), 0);
+  assert.equal(occurrences(text, /line of the/g), 120);
+});
+
+test('numbered edge lines need 40% of the window', async () => {
+  // 4 of the first 12 pages is under 40%
+  const rare = await extract(book(12, page => page % 3 === 0 ? [{ y: 60, text: `Table ${page}` }] : []));
+  assert.equal(occurrences(rare.text, /Table \d+/g), 4);
+  const common = await extract(book(12, page => page % 2 === 0 ? [{ y: 60, text: `Table ${page}` }] : []));
+  assert.equal(occurrences(common.text, /Table \d+/g), 0);
+});
+
+test('mid-page lines go only when on half the pages, and never by number alone', async () => {
+  const { text } = await extract(book(20, page => [
+    { y: 750, text: 'The Ledger Book' },
+    { y: 730, text: 'Part One' },
+    { y: 60, text: 'Ledger Press' },
+    { y: 40, text: `Page ${page}` },
+    { y: 400, text: 'CONFIDENTIAL' },
+    { y: 380, text: `Item ${page} shipped` },
+    ...(page <= 4 ? [{ y: 360, text: 'See the appendix' }] : [])
+  ]));
+  assert.equal(occurrences(text, /CONFIDENTIAL/g), 0);
+  assert.equal(occurrences(text, /Item \d+ shipped/g), 20);
+  assert.equal(occurrences(text, /See the appendix/g), 4);
+});
+
+test('nothing is stripped when stripping is off', async () => {
+  const { record, text } = await extract(book(20, page => [{ y: 750, text: 'The Ledger Book' }, { y: 40, text: `Page ${page}` }]), false);
+  assert.equal(occurrences(text, /The Ledger Book/g), 20);
+  assert.equal(record.removed_lines, 0);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNKERS, processFile, normalizeChunking } from '../ragnator-core.mjs';
+
+const textFile = (text, name = 'long.txt') => {
+  const data = new TextEncoder().encode(text);
+  return { name, size: data.length, type: 'text/plain', arrayBuffer: async () => data.buffer, text: async () => text };
+};
+
+// Already normalized (single spaces, blank-line paragraphs), so spans index straight into it
+const TEXT = Array.from({ length: 1600 }, (_, i) => {
+  const sentences = Array.from({ length: 1 + (i % 5) }, (_, j) => `Paragraph ${i} sentence ${j} carries the ledger forward without a pause.`).join(' ');
+  return i % 40 === 0 ? `SECTION ${i / 40}\n${sentences}` : sentences;
+}).join('\n\n');
+
+const chunk = async (strategy, params = CHUNKERS[strategy].defaults, text = TEXT) => {
+  const chunks = [];
+  let checkpoints = 0;
+  await processFile(textFile(text), {
+    settings: { chunking: { strategy, params }, extraction: {} },
+    onChunk: c => chunks.push(c),
+    checkpoint: async () => { checkpoints++; }
+  });
+  return { chunks, checkpoints };
+};
+
+for (const strategy of Object.keys(CHUNKERS)) {
+  test(`${strategy} chunk spans point at their text and cover the document in order`, async () => {
+    const { chunks } = await chunk(strategy);
+    assert.ok(chunks.length > 10);
+    assert.equal(chunks[0].meta.char_start, 0);
+    assert.equal(chunks[chunks.length - 1].meta.char_end, TEXT.length);
+    let covered = 0;
+    for (const { text, meta } of chunks) {
+      assert.equal(TEXT.slice(meta.char_start, meta.char_end), text);
+      assert.ok(meta.char_end > covered, 'every chunk moves forward');
+      assert.match(TEXT.slice(covered, Math.max(covered, meta.char_start)), /^\s*$/, 'only whitespace between chunks');
+      covered = meta.char_end;
+    }
+  });
+}
+
+test('character overlap never exceeds the configured overlap', async () => {
+  for (const strategy of ['fixed', 'recursive']) {
+    const params = { ...CHUNKERS[strategy].defaults, overlap: 150 };
+    const { chunks } = await chunk(strategy, params);
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i - 1].meta.char_end - chunks[i].meta.char_start <= 150, `${strategy} chunk ${i}`);
+    }
+  }
+});
+
+test('overlap is capped at half the chunk size', () => {
+  assert.equal(normalizeChunking({ strategy: 'fixed', params: { size: 1000, overlap: 900, lookahead: 200 } }).params.overlap, 500);
+  assert.equal(normalizeChunking({ strategy: 'tokens', params: { maxTokens: 256, overlapTokens: 1000 } }).params.overlapTokens, 128);
+  assert.equal(normalizeChunking({ strategy: 'recursive', params: { size: 50, overlap: 40 } }).params.size, 200);
+});
+
+test('long documents are fed in slices, and slicing does not change the chunks', async () => {
+  const { chunks, checkpoints } = await chunk('fixed');
+  assert.ok(TEXT.length > 4 * 64 * 1024);
+  assert.ok(checkpoints >= 4, `${checkpoints} checkpoints`);
+  // Slice boundaries fall after whitespace runs, which normalize the same either way
+  const messy = TEXT.replace(/ /g, ' \t  ').replace(/\n\n/g, '\n \t\n\n ');
+  const { chunks: fromMessy } = await chunk('fixed', CHUNKERS.fixed.defaults, messy);
+  assert.deepEqual(fromMessy.map(c => c.text), chunks.map(c => c.text));
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Deduplicator, DatasetBuilder, sameSettings } from '../ragnator-core.mjs';
+
+const PARAGRAPHS = [
+  'The committee met on Tuesday to review the harbour dredging plan and its budget for the coming year.',
+  'Engineers reported that silt levels near the eastern pier had doubled since the last survey was taken.',
+  'Residents asked whether night work would be limited, and the council promised quieter equipment.',
+  'A final vote on the contract is expected next month once the environmental review has been published.'
+];
+
+const chunksOf = (prefix, texts) => texts.map((text, i) => ({ text, meta: { id: `${prefix}_${i}`, tokens: 20 } }));
+
+test('same-named files in different folders are compared as different documents', () => {
+  const dedup = new Deduplicator({ mode: 'tag' });
+  dedup.filter('lib/book.pdf', chunksOf('a', PARAGRAPHS));
+  const { kept, document } = dedup.filter('lib/sub/book.pdf', chunksOf('b', PARAGRAPHS));
+  assert.equal(document?.duplicate_of, 'lib/book.pdf');
+  assert.equal(document.source, 'lib/sub/book.pdf');
+  assert.equal(document.ratio, 1);
+  assert.deepEqual(kept.map(c => c.meta.duplicate_of), ['a_0', 'a_1', 'a_2', 'a_3']);
+});
+
+test('repeats within one file never make it a duplicate of itself', () => {
+  const dedup = new Deduplicator({ mode: 'tag' });
+  const { document } = dedup.filter('notes.txt', chunksOf('a', [...PARAGRAPHS, ...PARAGRAPHS]));
+  assert.equal(document, null);
+});
+
+test('the dataset reports a copy in another folder under the same name as a duplicate file', () => {
+  const dataset = new DatasetBuilder({ format: 'ndjson', deduplication: 'tag' });
+  const record = (path, prefix) => ({ source: 'book.pdf', path, status: 'processed', chunks: 4, tokens: 80, chunk_ids: PARAGRAPHS.map((_, i) => `${prefix}_${i}`) });
+  dataset.addSource(record('lib/book.pdf', 'a'), chunksOf('a', PARAGRAPHS));
+  const copy = dataset.addSource(record('lib/sub/book.pdf', 'b'), chunksOf('b', PARAGRAPHS));
+  assert.equal(copy.duplicate_of, 'lib/book.pdf');
+});
+
+test('unchanged files are only skipped when the previous run deduplicated the same way', () => {
+  const settings = { chunking: { strategy: 'fixed' }, tokenizer: { encoding: 'estimate' }, extraction: {} };
+  const manifest = (mode) => ({ ...settings, ...(mode ? { deduplication: { mode } } : {}) });
+  assert.equal(sameSettings(manifest(null), settings, 'off'), true);
+  assert.equal(sameSettings(manifest('drop'), settings, 'off'), false);
+  assert.equal(sameSettings(manifest('keep-first'), settings, 'off'), false);
+  assert.equal(sameSettings(manifest('tag'), settings, 'tag'), true);
+  assert.equal(sameSettings(manifest(null), settings, 'tag'), false);
+});
+
+// Deterministic prose: `count` words drawn from a small vocabulary by a seeded LCG
+const VOCABULARY = 'river stone ledger harbour winter signal copper lantern meadow orchard quiet distant engine folded silver market bridge canvas thunder garden pocket violet marble anchor'.split(' ');
+const prose = (seed, count = 200) => {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return VOCABULARY[(state >>> 16) % VOCABULARY.length];
+  }).join(' ');
+};
+
+test('exact copies match after case, accent and punctuation folding', () => {
+  const dedup = new Deduplicator({ mode: 'tag' });
+  dedup.filter('a.txt', [{ text: 'Ação imediata: o conselho aprovou o orçamento do porto.', meta: { id: 'a_0', tokens: 12 } }]);
+  const { kept } = dedup.filter('b.txt', [{ text: 'ACAO IMEDIATA — o Conselho aprovou o orcamento do porto!', meta: { id: 'b_0', tokens: 12 } }]);
+  assert.equal(kept[0].meta.duplicate_of, 'a_0');
+  assert.equal(kept[0].meta.duplicate_similarity, 1);
+  assert.equal(dedup.stats.exact_duplicates, 1);
+});
+
+test('a lightly edited chunk is a near duplicate; unrelated chunks are not', () => {
+  const dedup = new Deduplicator({ mode: 'tag' });
+  const original = prose(1);
+  dedup.filter('a.txt', [{ text: original, meta: { id: 'a_0', tokens: 200 } }]);
+  const words = original.split(' ');
+  words[100] = 'changed';
+  const { kept } = dedup.filter('b.txt', [
+    { text: words.join(' '), meta: { id: 'b_0', tokens: 200 } },
+    ...Array.from({ length: 50 }, (_, i) => ({ text: prose(100 + i), meta: { id: `b_${i + 1}`, tokens: 200 } }))
+  ]);
+  assert.equal(kept[0].meta.duplicate_of, 'a_0');
+  assert.ok(kept[0].meta.duplicate_similarity >= 0.8 && kept[0].meta.duplicate_similarity < 1);
+  assert.deepEqual(kept.slice(1).filter(c => c.meta.duplicate_of), []);
+  assert.equal(dedup.stats.near_duplicates, 1);
+});
+
+test('copies cluster under the first copy, which the report lists once', () => {
+  const dedup = new Deduplicator({ mode: 'keep-first' });
+  const text = prose(7);
+  ['one.txt', 'two.txt', 'three.txt'].forEach((source, i) => {
+    dedup.filter(source, [{ text, meta: { id: `${source}_0`, tokens: 200 } }, { text: prose(50 + i), meta: { id: `${source}_1`, tokens: 200 } }]);
+  });
+  const report = dedup.report();
+  assert.equal(report.clusters.length, 1);
+  assert.equal(report.clusters[0].id, 'one.txt_0');
+  assert.deepEqual(report.clusters[0].members.map(m => m.source), ['two.txt', 'three.txt']);
+  assert.equal(report.dropped_chunks, 2);
+  assert.equal(report.saved_tokens, 400);
+  assert.deepEqual([report.method, report.permutations, report.bands, report.shingle_words], ['minhash', 64, 16, 5]);
+});
+
+test('a dropped document leaves no chunks behind for later files to match', () => {
+  const dedup = new Deduplicator({ mode: 'drop' });
+  const shared = PARAGRAPHS.map((_, i) => prose(20 + i));
+  dedup.filter('first.txt', chunksOf('f', shared));
+  // Mostly a copy of first.txt, plus one chunk of its own
+  const { kept, document } = dedup.filter('copy.txt', chunksOf('c', [...shared, prose(99)]));
+  assert.deepEqual(kept, []);
+  assert.equal(document.dropped, true);
+  assert.equal(document.duplicate_of, 'first.txt');
+  const later = dedup.filter('later.txt', chunksOf('l', [prose(99)]));
+  assert.equal(later.kept[0].meta.duplicate_of, undefined);
+  assert.equal(dedup.stats.dropped_documents, 1);
+});
+
+test('chunks without words pass through untouched', () => {
+  const dedup = new Deduplicator({ mode: 'keep-first' });
+  dedup.filter('a.txt', chunksOf('a', ['— — —']));
+  const { kept } = dedup.filter('b.txt', chunksOf('b', ['— — —']));
+  assert.equal(kept.length, 1);
+  assert.equal(kept[0].meta.duplicate_of, undefined);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatasetBuilder, EXPORTERS, DEFAULT_EXPORT_TEMPLATE } from '../ragnator-core.mjs';
+
+const CHUNKS = [
+  { text: 'Plain opening paragraph about the harbour.', meta: { id: 'chunk_aaaaaaaaaaaaaaaaaaaa', page_start: 1, page_end: 1, char_start: 0, char_end: 42, tokens: 9, document: { title: 'Harbour Plan', author: 'Port Authority', year: 2023 } } },
+  { text: 'Quotes "like this", commas, and a\nnew line — ação.', meta: { id: 'chunk_bbbbbbbbbbbbbbbbbbbb', page_start: 1, page_end: 2, char_start: 40, char_end: 90, tokens: 14, document: { title: 'Harbour Plan', author: 'Port Authority', year: 2023 } } }
+];
+
+const bundleOf = (format, exportOptions = {}) => {
+  const dataset = new DatasetBuilder({ format, exportOptions, deduplication: 'off' });
+  dataset.addSource({ source: 'plan.pdf', status: 'processed', chunks: 2, tokens: 23, chunk_ids: CHUNKS.map(c => c.meta.id) }, CHUNKS);
+  dataset.finish();
+  const [bundle] = dataset.bundles;
+  const [entry] = dataset.manifest().bundles;
+  return { bundle, entry, files: dataset.files() };
+};
+
+const bytes = (text) => new TextEncoder().encode(text).length;
+
+test('every exporter reports the byte size of what it wrote', () => {
+  for (const format of Object.keys(EXPORTERS)) {
+    const { bundle, entry } = bundleOf(format);
+    const written = bundle.files ? bundle.files.reduce((sum, f) => sum + bytes(f.content), 0) : bytes(bundle.content);
+    assert.equal(entry.size_bytes, written, format);
+    assert.equal(entry.chunks, 2, format);
+  }
+});
+
+test('NDJSON and LangChain write one JSON object per line', () => {
+  const ndjson = bundleOf('ndjson').bundle.content.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.equal(ndjson.length, 2);
+  assert.equal(ndjson[1].content, CHUNKS[1].text);
+  assert.equal(ndjson[0].source, 'plan.pdf');
+  assert.equal(ndjson[0].document.title, 'Harbour Plan');
+
+  const docs = bundleOf('langchain').bundle.content.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(Object.keys(docs[0]).sort(), ['id', 'metadata', 'page_content', 'type']);
+  assert.equal(docs[0].type, 'Document');
+  assert.equal(docs[1].page_content, CHUNKS[1].text);
+  assert.equal(docs[0].metadata.title, 'Harbour Plan');
+  assert.equal(docs[0].metadata.page_start, 1);
+});
+
+test('LlamaIndex, Qdrant and Chroma bundles are single JSON documents', () => {
+  const nodes = JSON.parse(bundleOf('llamaindex').bundle.content);
+  assert.equal(nodes.length, 2);
+  assert.equal(nodes[0].class_name, 'TextNode');
+  assert.equal(nodes[0].id_, CHUNKS[0].meta.id);
+  assert.equal(nodes[1].start_char_idx, 40);
+  assert.equal(nodes[1].relationships[1].node_id, 'plan.pdf');
+  assert.ok(nodes[0].excluded_embed_metadata_keys.includes('char_start'));
+
+  const { points } = JSON.parse(bundleOf('qdrant').bundle.content);
+  assert.equal(points.length, 2);
+  for (const point of points) assert.match(point.id, /^[0-9a-f]{8}-[0-9a-f]{4}-8[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  assert.notEqual(points[0].id, points[1].id);
+  assert.equal(points[1].payload.text, CHUNKS[1].text);
+  assert.equal(points[1].payload.id, CHUNKS[1].meta.id);
+
+  const upsert = JSON.parse(bundleOf('chroma').bundle.content);
+  assert.deepEqual(upsert.ids, CHUNKS.map(c => c.meta.id));
+  assert.deepEqual(upsert.documents, CHUNKS.map(c => c.text));
+  assert.equal(upsert.metadatas[1].author, 'Port Authority');
+  for (const metadata of upsert.metadatas) {
+    for (const value of Object.values(metadata)) assert.ok(['string', 'number', 'boolean'].includes(typeof value), 'Chroma takes flat scalar metadata only');
+  }
+});
+
+test('CSV quotes cells with quotes, commas or newlines', () => {
+  const csv = bundleOf('csv').bundle.content;
+  const [header] = csv.split('\r\n');
+  assert.ok(header.startsWith('id,source,page_start,page_end'));
+  assert.ok(header.endsWith(',content'));
+  assert.ok(csv.includes('"Quotes ""like this"", commas, and a\nnew line — ação."\r\n'));
+  assert.ok(csv.includes(',Plain opening paragraph about the harbour.\r\n'));
+});
+
+test('Markdown writes one file per chunk with a parseable frontmatter', () => {
+  const { bundle } = bundleOf('markdown');
+  assert.deepEqual(bundle.files.map(f => f.name), CHUNKS.map(c => `${c.meta.id}.md`));
+  const [, frontmatter, body] = bundle.files[1].content.match(/^---\n([\s\S]*?)\n---\n\n([\s\S]*)$/);
+  const fields = Object.fromEntries(frontmatter.split('\n').map(line => {
+    const [, key, value] = line.match(/^(\w+): (.*)$/);
+    return [key, JSON.parse(value)];
+  }));
+  assert.equal(fields.id, CHUNKS[1].meta.id);
+  assert.equal(fields.page_end, 2);
+  assert.equal(fields.title, 'Harbour Plan');
+  assert.equal(body, `${CHUNKS[1].text}\n`);
+});
+
+test('the custom template keeps types for whole fields and interpolates the rest', () => {
+  const template = { key: '{{id}}', page: '{{page_start}}', label: '{{document.title}} p.{{page_start}}', missing: '{{document.isbn}}', meta: { author: '{{metadata.author}}' } };
+  const [first] = bundleOf('custom', { template }).bundle.content.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(first, { key: CHUNKS[0].meta.id, page: 1, label: 'Harbour Plan p.1', missing: null, meta: { author: 'Port Authority' } });
+
+  const [byDefault] = bundleOf('custom').bundle.content.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(Object.keys(byDefault), Object.keys(DEFAULT_EXPORT_TEMPLATE));
+  assert.equal(byDefault.text, CHUNKS[0].text);
+});
+
+test('standard TXT keeps the metadata line above each chunk', () => {
+  const txt = bundleOf('txt').bundle.content;
+  assert.ok(txt.startsWith(`[METADATA: Id=${CHUNKS[0].meta.id} | Source="plan.pdf" | DocTitle="Harbour Plan" | Author="Port Authority" | Year=2023 | Page=1 | Chars=0-42]\n---\n${CHUNKS[0].text}\n---\n\n`));
+  assert.ok(txt.includes('| Pages=1-2 | Chars=40-90]'));
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNKERS, processFile } from '../ragnator-core.mjs';
+
+const textFile = (text, name, webkitRelativePath) => {
+  const data = new TextEncoder().encode(text);
+  return { name, webkitRelativePath, size: data.length, type: 'text/plain', arrayBuffer: async () => data.buffer, text: async () => text };
+};
+
+const settings = { chunking: { strategy: 'fixed', params: CHUNKERS.fixed.defaults }, extraction: {} };
+
+const ingest = async (file) => {
+  const chunks = [];
+  const record = await processFile(file, { settings, onChunk: c => chunks.push(c), checkpoint: async () => {} });
+  return { record, ids: chunks.map(c => c.meta.id) };
+};
+
+const TEXT = 'An opening page that both copies share, word for word. '.repeat(60);
+
+test('re-running the same file gives the same chunk IDs', async () => {
+  const first = await ingest(textFile(TEXT, 'book.txt'));
+  const second = await ingest(textFile(TEXT, 'book.txt'));
+  assert.ok(first.ids.length > 1);
+  assert.deepEqual(second.ids, first.ids);
+  assert.deepEqual(first.record.chunk_ids, first.ids);
+  for (const id of first.ids) assert.match(id, /^chunk_[0-9a-f]{20}$/);
+});
+
+test('same-named files in different folders never share chunk IDs', async () => {
+  const top = await ingest(textFile(TEXT, 'book.txt', 'lib/book.txt'));
+  const nested = await ingest(textFile(TEXT, 'book.txt', 'lib/sub/book.txt'));
+  assert.equal(top.record.source, 'book.txt');
+  assert.equal(nested.record.path, 'lib/sub/book.txt');
+  const shared = top.ids.filter(id => nested.ids.includes(id));
+  assert.deepEqual(shared, []);
+  assert.equal(new Set([...top.ids, ...nested.ids]).size, top.ids.length + nested.ids.length);
+});
+
+test('a file at the top of a picked folder keeps the IDs of a plain upload', async () => {
+  const upload = await ingest(textFile(TEXT, 'book.txt'));
+  const picked = await ingest(textFile(TEXT, 'book.txt', 'book.txt'));
+  assert.deepEqual(picked.ids, upload.ids);
+});
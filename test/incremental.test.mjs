@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CHUNKERS, processFile, diffManifests } from '../ragnator-core.mjs';
+
+const textFile = (text, name = 'notes.txt') => {
+  const data = new TextEncoder().encode(text);
+  return { name, size: data.length, type: 'text/plain', arrayBuffer: async () => data.buffer, text: async () => text };
+};
+
+const settings = { chunking: { strategy: 'fixed', params: CHUNKERS.fixed.defaults }, extraction: {} };
+
+const ingest = (file, extra = {}) => processFile(file, { settings: { ...settings, ...extra }, onChunk: () => {}, checkpoint: async () => {} });
+
+const TEXT = Array.from({ length: 120 }, (_, i) => `Entry ${String(i).padStart(2, '0')} records a shipment that arrived on time and intact.`).join('\n\n');
+
+test('editing one passage changes only the chunk that holds it', async () => {
+  const before = await ingest(textFile(TEXT));
+  // Same length, so every later chunk keeps its offsets and its ID
+  const after = await ingest(textFile(TEXT.replace('Entry 05 records a shipment that arrived on time', 'Entry 05 records a shipment that arrived damaged')));
+  assert.ok(before.chunk_ids.length > 2);
+  const diff = diffManifests([before], [after]);
+  assert.equal(diff.changed.length, 1);
+  assert.deepEqual(diff.added, []);
+  assert.deepEqual(diff.removed, []);
+  assert.equal(diff.changed[0].source, 'notes.txt');
+  assert.equal(diff.changed[0].previous_id, before.chunk_ids[0]);
+  assert.equal(diff.changed[0].id, after.chunk_ids[0]);
+  assert.deepEqual(after.chunk_ids.slice(1), before.chunk_ids.slice(1));
+});
+
+test('appended text adds chunks and keeps the earlier IDs', async () => {
+  const before = await ingest(textFile(TEXT));
+  const after = await ingest(textFile(`${TEXT}\n\n${TEXT.replace(/Entry/g, 'Later entry')}`));
+  const diff = diffManifests([before], [after]);
+  assert.ok(diff.added.length > 0);
+  assert.deepEqual(after.chunk_ids.slice(0, before.chunk_ids.length - 1), before.chunk_ids.slice(0, -1));
+  assert.ok(diff.removed.length + diff.changed.length <= 1, 'at most the old last chunk is re-cut');
+});
+
+test('files that appear or disappear add or remove all their chunks; failed files are left out', async () => {
+  const kept = await ingest(textFile(TEXT, 'kept.txt'));
+  const gone = await ingest(textFile(TEXT, 'gone.txt'));
+  const added = await ingest(textFile(TEXT, 'added.txt'));
+  const failed = { source: 'broken.pdf', status: 'error', chunk_ids: [] };
+  const diff = diffManifests([kept, gone], [kept, added, failed]);
+  assert.deepEqual(diff.added, added.chunk_ids);
+  assert.deepEqual(diff.removed, gone.chunk_ids);
+  assert.deepEqual(diff.changed, []);
+});
+
+test('an unchanged file is skipped and carries its chunk IDs forward', async () => {
+  const first = await ingest(textFile(TEXT));
+  const chunks = [];
+  const second = await processFile(textFile(TEXT), { settings: { ...settings, skipUnchanged: true }, previous: first, onChunk: c => chunks.push(c), checkpoint: async () => {} });
+  assert.equal(second.status, 'unchanged');
+  assert.deepEqual(second.chunk_ids, first.chunk_ids);
+  assert.equal(chunks.length, 0);
+  const edited = await processFile(textFile(`${TEXT}.`), { settings: { ...settings, skipUnchanged: true }, previous: first, onChunk: () => {}, checkpoint: async () => {} });
+  assert.equal(edited.status, 'processed');
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import JSZip from 'jszip';
+import { ragnatorEngine, CHUNKERS, processFile, prepareRedaction, Redactor, sameSettings } from '../ragnator-core.mjs';
+
+const engine = ragnatorEngine(globalThis);
+
+const textFile = (text, name = 'notes.txt') => {
+  const data = new TextEncoder().encode(text);
+  return { name, size: data.length, type: 'text/plain', arrayBuffer: async () => data.buffer, text: async () => text };
+};
+
+const settings = (rules, key = null) => ({
+  chunking: { strategy: 'fixed', params: CHUNKERS.fixed.defaults },
+  extraction: {},
+  redaction: { rules, ...(key ? { key } : {}) }
+});
+
+const redact = async (text, rules, key) => {
+  const chunks = [];
+  const record = await processFile(textFile(text), { settings: settings(rules, key), onChunk: c => chunks.push(c), checkpoint: async () => {} });
+  return { text: chunks.map(c => c.text).join('\n'), counts: record.redactions };
+};
+
+const ALL = ['email', 'iban', 'cnpj', 'cpf', 'card', 'ssn', 'phone'].map(id => ({ id, action: 'mask' }));
+
+test('CPF and CNPJ are redacted at the end of a sentence and before punctuation', async () => {
+  const { text, counts } = await redact(
+    'CPF do cliente: 529.982.247-25. CNPJ 11.222.333/0001-81. Outro CPF (529.982.247-25), e 52998224725; CNPJ 11222333000181/ fim.',
+    [{ id: 'cnpj', action: 'mask' }, { id: 'cpf', action: 'mask' }]
+  );
+  assert.equal(text, 'CPF do cliente: [CPF]. CNPJ [CNPJ]. Outro CPF ([CPF]), e [CPF]; CNPJ [CNPJ]/ fim.');
+  assert.deepEqual(counts, { cnpj: 2, cpf: 3 });
+});
+
+test('CPF-shaped numbers inside longer numbers or with bad check digits are left alone', async () => {
+  const { text } = await redact('Protocolo 529.982.247-25.1 e 529.982.247-26 seguem abertos.', [{ id: 'cpf', action: 'mask' }]);
+  assert.equal(text, 'Protocolo 529.982.247-25.1 e 529.982.247-26 seguem abertos.');
+});
+
+test('phone detector ignores years, amounts and bare digit groups', async () => {
+  const input = 'Editions 2019 2020 2021 sold 12.500 13.400 copies, batch 1234 5678 90 shipped.';
+  const { text, counts } = await redact(input, ALL);
+  assert.equal(text, input);
+  assert.equal(counts.phone, 0);
+});
+
+test('phone detector catches numbers written in phone shapes', async () => {
+  const { text, counts } = await redact(
+    'Call +55 11 91234-5678, (11) 3456-7890, 555-123-4567, 020 7946 0958 or 11 91234-5678.',
+    [{ id: 'phone', action: 'mask' }]
+  );
+  assert.equal(text, 'Call [PHONE], [PHONE], [PHONE], [PHONE] or [PHONE].');
+  assert.equal(counts.phone, 5);
+});
+
+test('ID detectors win over phone whatever order the rules are listed in', async () => {
+  const { text, counts } = await redact('Titular 529.982.247-25, SSN 123-45-6789.', [...ALL].reverse());
+  assert.equal(text, 'Titular [CPF], SSN [SSN].');
+  assert.equal(counts.phone, 0);
+  assert.equal(counts.cpf, 1);
+  assert.equal(counts.ssn, 1);
+});
+
+test('hash pseudonyms are HMAC-SHA256 under the run key', async () => {
+  const rules = [{ id: 'cpf', action: 'hash' }];
+  const expected = crypto.createHmac('sha256', 'k1').update('cpf\u000052998224725').digest('hex').slice(0, 16);
+  const first = await redact('CPF 529.982.247-25 e 52998224725 aqui.', rules, 'k1');
+  assert.equal(first.text, `CPF [CPF:${expected}] e [CPF:${expected}] aqui.`);
+  const other = await redact('CPF 529.982.247-25 aqui.', rules, 'k2');
+  assert.ok(!other.text.includes(expected));
+  await assert.rejects(redact('CPF 529.982.247-25 aqui.', rules), /needs a key/);
+});
+
+test('prepareRedaction keeps the key out of the recorded settings', () => {
+  const rules = [{ id: 'email', action: 'hash' }];
+  const random = prepareRedaction(rules);
+  assert.deepEqual(random.redaction, { rules, hash_key: 'per-run' });
+  assert.match(random.key, /^[0-9a-f]{64}$/);
+  assert.notEqual(prepareRedaction(rules).key, random.key);
+
+  const supplied = prepareRedaction(rules, 'secret');
+  assert.deepEqual(supplied.redaction, { rules, hash_key: 'supplied' });
+  assert.equal(supplied.key, 'secret');
+  assert.equal(JSON.stringify(supplied.redaction).includes('secret'), false);
+
+  const base = { chunking: { strategy: 'fixed' }, tokenizer: { encoding: 'estimate' }, extraction: {} };
+  assert.equal(sameSettings({ ...base, redaction: supplied.redaction }, { ...base, redaction: supplied.redaction }), true);
+  assert.equal(sameSettings({ ...base, redaction: random.redaction }, { ...base, redaction: random.redaction }), false);
+});
+
+const streamOf = (rules) => {
+  const chunks = [];
+  const stream = new engine.StreamProcessor('scan.pdf', (text, source, meta) => chunks.push({ text, meta }));
+  stream.setRedactor(new engine.Redactor({ rules }));
+  return { stream, chunks };
+};
+
+test('values split between processText calls are redacted', () => {
+  const { stream, chunks } = streamOf([{ id: 'email', action: 'mask' }]);
+  stream.processText('Write to maria.silva@exam');
+  stream.processText('ple.com before Friday, or to joao@example.org.');
+  stream.flush();
+  assert.equal(chunks.map(c => c.text).join(''), 'Write to [EMAIL] before Friday, or to [EMAIL].');
+  assert.deepEqual(stream.redactor.counts, { email: 2 });
+});
+
+test('grouped numbers wrapped across a page break are redacted and keep their pages', () => {
+  const { stream, chunks } = streamOf([{ id: 'iban', action: 'mask' }, { id: 'card', action: 'mask' }]);
+  stream.processText(`${'Filler text on the first page. '.repeat(3)}Pay DE89 3704 0044 [PAGE_END:1]\n`);
+  stream.processText('0532 0130 00 by card 4111 1111 [PAGE_END:2]\n');
+  stream.processText('1111 1111 before Friday. [PAGE_END:3]\n');
+  stream.flush();
+  const text = chunks.map(c => c.text).join('');
+  assert.ok(text.endsWith('Pay [IBAN] by card [CARD] before Friday.'), text);
+  assert.deepEqual(stream.redactor.counts, { iban: 1, card: 1 });
+  assert.equal(chunks[0].meta.page_start, 1);
+  assert.equal(chunks[0].meta.page_end, 3);
+});
+
+test('an IBAN followed by another code falls back to its valid part', async () => {
+  const { text } = await redact('Conta DE89 3704 0044 0532 0130 00 NOTE pago.', [{ id: 'iban', action: 'mask' }]);
+  assert.equal(text, 'Conta [IBAN] NOTE pago.');
+});
+
+test('EPUB chapter titles and metadata reach the manifest redacted', async (t) => {
+  const jsdom = await import('jsdom').catch(() => null);
+  if (!jsdom) return t.skip('jsdom is not installed');
+  const { processFile: processEpub } = ragnatorEngine({ JSZip, DOMParser: new jsdom.JSDOM('').window.DOMParser });
+
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', '<?xml version="1.0"?><container xmlns="urn:oasis:names:tc:opendocument:xmlns:container" version="1.0"><rootfiles><rootfile full-path="content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>');
+  zip.file('content.opf', '<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0"><metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Dossier 529.982.247-25</dc:title></metadata>'
+    + '<manifest><item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/><item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/></manifest><spine><itemref idref="c1"/></spine></package>');
+  zip.file('nav.xhtml', '<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops"><body><nav epub:type="toc"><ol><li><a href="c1.xhtml">Letters from maria@example.com</a></li></ol></nav></body></html>');
+  zip.file('c1.xhtml', `<?xml version="1.0"?><html xmlns="http://www.w3.org/1999/xhtml"><body><p>${'Dear reader, nothing personal here. '.repeat(5)}</p></body></html>`);
+  const data = await zip.generateAsync({ type: 'uint8array' });
+  const file = { name: 'letters.epub', size: data.length, type: '', arrayBuffer: async () => data.buffer, text: async () => '' };
+
+  const chunks = [];
+  const record = await processEpub(file, {
+    settings: settings([{ id: 'email', action: 'mask' }, { id: 'cpf', action: 'mask' }]),
+    onChunk: c => chunks.push(c),
+    checkpoint: async () => {}
+  });
+  const manifest = JSON.stringify(record);
+  assert.ok(!manifest.includes('maria@example.com'));
+  assert.ok(!manifest.includes('529.982.247-25'));
+  assert.equal(record.chapters[0].title, 'Letters from [EMAIL]');
+  assert.equal(record.document.title, 'Dossier [CPF]');
+  assert.equal(chunks[0].meta.chapter_title, 'Letters from [EMAIL]');
+});
+
+test('the key fingerprint matches only the same key and does not reveal it', () => {
+  const check = Redactor.keyCheck('s3cret');
+  assert.equal(Redactor.keyCheck('s3cret'), check);
+  assert.notEqual(Redactor.keyCheck('s3cret!'), check);
+  assert.equal(check.includes('s3cret'), false);
+});
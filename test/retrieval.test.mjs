@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bm25Index, searchTerms, runRetrievalTests, retrievalVerdict, DatasetBuilder } from '../ragnator-core.mjs';
+
+const DOCS = [
+  ['a', 'harbour.pdf', 'The harbour dredging plan doubles the silt survey budget.'],
+  ['b', 'council.pdf', 'Council minutes: the council approved the budget and the budget review.'],
+  ['c', 'weather.txt', 'Rain and wind kept the harbour closed for two days, the longest closure since records began in the port.']
+];
+
+const indexOf = () => {
+  const index = new Bm25Index();
+  for (const [id, source, text] of DOCS) index.add({ id, source }, text);
+  return index;
+};
+
+test('terms are case- and accent-folded words, keeping single digits but not single letters', () => {
+  assert.deepEqual(searchTerms('Ação, CORAÇÃO e pão: 3 itens'), ['acao', 'coracao', 'pao', '3', 'itens']);
+  assert.deepEqual(searchTerms('a b c'), []);
+});
+
+test('scores follow the BM25 formula', () => {
+  const index = indexOf();
+  const lengths = DOCS.map(([, , text]) => searchTerms(text).length);
+  const avg = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+  const idf = (df) => Math.log(1 + (3 - df + 0.5) / (df + 0.5));
+  const weight = (tf, length) => (tf * 2.2) / (tf + 1.2 * (0.25 + 0.75 * length / avg));
+
+  const [top, second] = index.search('budget');
+  // "budget" is twice in b and once in a; b is longer but tf wins
+  assert.equal(top.id, 'b');
+  assert.equal(top.score, Math.round(idf(2) * weight(2, lengths[1]) * 10000) / 10000);
+  assert.equal(second.id, 'a');
+  assert.equal(second.score, Math.round(idf(2) * weight(1, lengths[0]) * 10000) / 10000);
+  assert.deepEqual(index.search('budget').map(r => r.rank), [1, 2]);
+});
+
+test('rare terms outweigh common ones, and shorter documents win at equal term frequency', () => {
+  const index = indexOf();
+  // "harbour" is in a and c; "silt" only in a
+  assert.equal(index.search('silt harbour')[0].id, 'a');
+  assert.ok(index.idf('silt') > index.idf('harbour'));
+  // Both mention "harbour" once; a is shorter
+  const [first, second] = index.search('harbour');
+  assert.deepEqual([first.id, second.id], ['a', 'c']);
+  assert.ok(first.score > second.score);
+  assert.deepEqual(index.search('volcano'), []);
+  assert.deepEqual(new Bm25Index().search('harbour'), []);
+});
+
+test('sparse vectors reproduce the search scores from the vocabulary IDFs', () => {
+  const index = indexOf();
+  const { vocabulary, vectors } = index.toSparseVectors();
+  const rows = vectors.trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rows.map(r => r.id), ['a', 'b', 'c']);
+  assert.equal(vocabulary.doc_count, 3);
+  assert.equal(vocabulary.terms.budget.df, 2);
+
+  for (const query of ['budget', 'silt harbour', 'council review']) {
+    const terms = [...new Set(searchTerms(query))].filter(t => vocabulary.terms[t]);
+    for (const result of index.search(query)) {
+      const row = rows.find(r => r.id === result.id);
+      const score = terms.reduce((sum, t) => {
+        const at = row.indices.indexOf(vocabulary.terms[t].index);
+        return sum + (at === -1 ? 0 : row.values[at] * vocabulary.terms[t].idf);
+      }, 0);
+      assert.ok(Math.abs(score - result.score) < 0.001, `${query} / ${result.id}`);
+    }
+  }
+});
+
+test('retrieval tests pass on a top-k hit, skip sources not re-indexed, and an empty run is no pass', () => {
+  const index = indexOf();
+  const results = runRetrievalTests(index, [
+    { query: 'silt survey', expected: ['harbour.pdf'], k: 1 },
+    { query: 'budget', expected: ['harbour.pdf'], k: 1 },
+    { query: 'closure', expected: ['weather.txt'], k: 3 }
+  ], { unindexed: ['weather.txt'] });
+  assert.deepEqual(results.map(r => r.passed), [true, false, null]);
+  assert.equal(results[0].rank, 1);
+  assert.deepEqual(results[1].top_sources, ['council.pdf']);
+  assert.deepEqual(results[2].not_indexed, ['weather.txt']);
+  assert.equal(retrievalVerdict(results).type, 'ERROR');
+  assert.equal(retrievalVerdict(results).missed, 1);
+  assert.equal(retrievalVerdict(results.slice(2)).type, 'INFO');
+  assert.equal(retrievalVerdict(results.slice(0, 1)).type, 'SUCCESS');
+});
+
+test('the dataset writes a sidecar aligned with its chunk IDs and records the test results', () => {
+  const dataset = new DatasetBuilder({ format: 'ndjson', deduplication: 'off' });
+  for (const [id, source, text] of DOCS) {
+    dataset.addSource({ source, status: 'processed', chunks: 1, tokens: 10, chunk_ids: [id] }, [{ text, meta: { id, tokens: 10 } }]);
+  }
+  dataset.finish();
+  const files = Object.fromEntries(dataset.files({ createdAt: '2026-01-01T00:00:00.000Z', tests: [{ query: 'silt', expected: ['harbour.pdf'], k: 3 }] }).map(f => [f.path, f.content]));
+  const rows = files['BM25/sparse_vectors.ndjson'].trimEnd().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rows.map(r => r.id), ['a', 'b', 'c']);
+  assert.equal(JSON.parse(files['BM25/vocabulary.json']).model, 'bm25');
+  const { retrieval } = JSON.parse(files['dataset_summary.json']);
+  assert.equal(retrieval.chunks_indexed, 3);
+  assert.equal(retrieval.vocabulary_size, Object.keys(JSON.parse(files['BM25/vocabulary.json']).terms).length);
+  assert.deepEqual([retrieval.tests, retrieval.tests_passed, retrieval.tests_skipped], [1, 1, 0]);
+  assert.equal(JSON.parse(files['retrieval_tests.json']).tests[0].passed, true);
+});
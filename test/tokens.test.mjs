@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { CHUNKERS, processFile, estimateTokens, registerTokenizer } from '../ragnator-core.mjs';
+
+const textFile = (text, name = 'long.txt') => {
+  const data = new TextEncoder().encode(text);
+  return { name, size: data.length, type: 'text/plain', arrayBuffer: async () => data.buffer, text: async () => text };
+};
+
+const settings = { chunking: { strategy: 'tokens', params: CHUNKERS.tokens.defaults }, extraction: {} };
+
+const prose = (chars) => {
+  const words = ['ledger', 'harbour', 'quietly', 'seven', 'under', 'the', 'winter', 'signal', 'of', 'a', 'river'];
+  let text = '';
+  for (let i = 0; text.length < chars; i++) text += words[(i * 7) % words.length] + ((i + 1) % 13 === 0 ? '. ' : ' ');
+  return text;
+};
+
+// Chars handed to the tokenizer while chunking `text`, and the chunks it produced
+const chunkTokens = async (text) => {
+  let counted = 0;
+  const countTokens = (t) => { counted += t.length; return estimateTokens(t); };
+  const chunks = [];
+  await processFile(textFile(text), { settings, countTokens, onChunk: c => chunks.push(c), checkpoint: async () => {} });
+  return { counted, chunks };
+};
+
+test('token-budget chunking tokenizes a bounded window per chunk, not the whole buffer', async () => {
+  const small = await chunkTokens(prose(225_000));
+  const large = await chunkTokens(prose(900_000));
+  // Four times the text should cost about four times the tokenizing; a quadratic chunker costs ~16x
+  const growth = large.counted / small.counted;
+  assert.ok(growth < 6, `tokenizing grew ${growth.toFixed(1)}x for 4x the text`);
+  assert.ok(large.counted < 900_000 * 60, `${large.counted} chars tokenized for 900 KB`);
+});
+
+test('token-budget chunks stay within the budget', async () => {
+  const { chunks } = await chunkTokens(prose(50_000));
+  assert.ok(chunks.length > 20);
+  for (const chunk of chunks) assert.ok(chunk.meta.tokens <= CHUNKERS.tokens.defaults.maxTokens, `${chunk.meta.tokens} tokens`);
+});
+
+// Rank file in tiktoken's format: every single byte, then the given merges in rank order
+const rankFile = (merges) => [
+  ...Array.from({ length: 256 }, (_, b) => String.fromCharCode(b)),
+  ...merges
+].map((token, rank) => `${btoa(token)} ${rank}`).join('\n');
+
+test('BPE merges the lowest-ranked pair first', () => {
+  // "bc" outranks "ab", so "abcd" -> a|bc|d -> a|bcd; merging "ab" first would strand c and d
+  const tokenizer = registerTokenizer('cl100k_base', rankFile(['bc', 'ab', 'bcd']));
+  assert.equal(tokenizer.count('abcd'), 2);
+  assert.equal(tokenizer.count('bcd'), 1);
+  // Pieces are counted separately: " abcd" is its own piece, and no merge covers " a"
+  assert.equal(tokenizer.count('abcd abcd'), 5);
+  // Unmerged multi-byte characters cost one token per UTF-8 byte
+  assert.equal(tokenizer.count('é'), 2);
+});
+
+// Counts from OpenAI's tiktoken for the same strings; runs where ./encodings holds the real rank file
+const TIKTOKEN_COUNTS = [
+  ['hello world', 2],
+  ['tiktoken is great!', 6],
+  ["Ragnator's chunker doesn't split mid-word — it backs off to a sentence.", 19],
+  ['CPF 529.982.247-25, IBAN DE89 3704 0044 0532 0130 00', 28],
+  ['Ação, coração e pão: três palavras em português.', 17],
+  ['東京タワーは1958年に完成した。', 15],
+  ['    indented code\n\tconst x = 12345678;\n\n\nend', 14],
+  ['emoji 🚀🔥 and symbols ∑∫√ ≠ ≤', 17]
+];
+const CL100K = new URL('../encodings/cl100k_base.tiktoken', import.meta.url);
+
+test('cl100k_base counts match tiktoken', { skip: !fs.existsSync(CL100K) && 'encodings/cl100k_base.tiktoken not downloaded' }, () => {
+  const tokenizer = registerTokenizer('cl100k_base', fs.readFileSync(CL100K, 'utf8'));
+  for (const [text, count] of TIKTOKEN_COUNTS) assert.equal(tokenizer.count(text), count, text);
+});
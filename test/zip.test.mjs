@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { ZipWriter } from '../ragnator-core.mjs';
+
+const collect = () => {
+  const parts = [];
+  return { parts, write: bytes => { parts.push(bytes.slice()); } };
+};
+
+const joined = (parts) => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return out;
+};
+
+test('a written archive reads back with JSZip, including entries added on a fork', async () => {
+  const head = collect();
+  const zip = new ZipWriter(head.write);
+  const repeated = 'chunk text that compresses well. '.repeat(200);
+  const binary = Uint8Array.from({ length: 300 }, (_, i) => (i * 7919) % 256);
+  await zip.add('dataset/bundle_001.ndjson', repeated);
+  await zip.add('dataset/capítulo ünïcode.txt', 'acentuação');
+  await zip.add('dataset/raw.bin', binary);
+
+  const tail = collect();
+  const rest = await zip.fork(tail.write);
+  await rest.add('dataset/dataset_summary.json', '{"ok":true}');
+  await rest.close();
+
+  const archive = await JSZip.loadAsync(joined([...head.parts, ...tail.parts]), { checkCRC32: true });
+  assert.deepEqual(Object.keys(archive.files).sort(), [
+    'dataset/bundle_001.ndjson', 'dataset/capítulo ünïcode.txt', 'dataset/dataset_summary.json', 'dataset/raw.bin'
+  ]);
+  assert.equal(await archive.file('dataset/bundle_001.ndjson').async('string'), repeated);
+  assert.equal(await archive.file('dataset/capítulo ünïcode.txt').async('string'), 'acentuação');
+  assert.deepEqual(await archive.file('dataset/raw.bin').async('uint8array'), binary);
+  assert.equal(await archive.file('dataset/dataset_summary.json').async('string'), '{"ok":true}');
+});
+
+test('an archive that would need Zip64 entry counts fails with a pointer to the folder output', async () => {
+  const zip = new ZipWriter(() => {});
+  zip.entries.length = 0xFFFF;
+  await assert.rejects(zip.add('one_too_many.txt', 'x'), /65535 files: write to a folder instead/);
+});